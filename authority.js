@@ -0,0 +1,226 @@
+// Server-authoritative simulation: one Rapier world per room, driven by client inputs.
+// Enabled with AUTHORITATIVE=1; server.js only requires this module in that mode.
+const RAPIER = require('@dimforge/rapier3d-compat');
+const {
+  GRAVITY,
+  FIXED_DT,
+  DRIVE,
+  RESPAWN,
+  clamp,
+  approach,
+  yawFromQuaternion,
+  carWheelAnchors,
+  countGroundedWheels,
+  createPassThroughHooks,
+  updateBoost,
+  applyDriveForces,
+  isBraking,
+  createRandom,
+  createPropBody
+} = require('./src/shared/sim.js');
+const {
+  DEFAULT_LEVEL,
+  normalizeLevel,
+  createLevelColliders,
+  levelPropLayout,
+  levelSpawnSlot,
+  levelNearestSpawn,
+  levelHeightAt
+} = require('./src/shared/level.js');
+
+// Matches the collider makeCar() derives from models/NormalCar1.glb (bbox 1.8 x 1.17 x 4.22).
+const CAR_COLLIDER = {
+  half: { x: 0.828, y: 0.351, z: 2.026 },
+  offset: { x: 0, y: 0.497, z: 0 }
+};
+const CAR_WHEELS = carWheelAnchors(CAR_COLLIDER.half, CAR_COLLIDER.offset);
+const WHEEL_REACH = CAR_COLLIDER.half.y + DRIVE.groundProbe;
+
+let ready = null;
+function initAuthority() {
+  if (!ready) ready = RAPIER.init();
+  return ready;
+}
+
+function hashIdForSlot(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+function round(v, digits) {
+  return Number(v.toFixed(digits));
+}
+
+function sanitizeInput(input) {
+  const x = Number(input?.x);
+  const y = Number(input?.y);
+  return {
+    x: Number.isFinite(x) ? clamp(x, -1, 1) : 0,
+    y: Number.isFinite(y) ? clamp(y, -1, 1) : 0,
+    handbrake: input?.h === true,
+    boost: input?.b === true
+  };
+}
+
+// `seed` is the room's world seed and `level` its normalized level, so the server builds the
+// same walls and props the clients would.
+function createRoomSimulation(seed, level = normalizeLevel(DEFAULT_LEVEL)) {
+  const world = new RAPIER.World(GRAVITY);
+  world.timestep = FIXED_DT;
+  createLevelColliders(RAPIER, world, level);
+
+  const layout = levelPropLayout(level, createRandom(seed));
+  const props = layout.map((prop) => ({ prop, ...createPropBody(RAPIER, world, prop) }));
+  const cars = new Map(); // id -> { body, collider, input, smoothX, smoothY, speedAlong, boost, passThrough }
+  const movers = new Set(props.filter(({ prop }) => prop.dynamic).map(({ body }) => body.handle));
+  const passThrough = new Set();
+  const hooks = createPassThroughHooks(RAPIER, passThrough, movers);
+
+  function addPlayer(id) {
+    if (cars.has(id)) return;
+    const spawn = levelSpawnSlot(level, hashIdForSlot(id));
+    const body = world.createRigidBody(
+      RAPIER.RigidBodyDesc.dynamic()
+        .setTranslation(spawn.x, spawn.y, spawn.z)
+        .setRotation({ x: 0, y: Math.sin(spawn.yaw / 2), z: 0, w: Math.cos(spawn.yaw / 2) })
+        .setCanSleep(false)
+        .setLinearDamping(DRIVE.linearDamping)
+        .setAngularDamping(DRIVE.angularDamping)
+    );
+    if (DRIVE.ccd) body.enableCcd(true);
+    body.setGravityScale(1.2, true);
+    const collider = world.createCollider(
+      RAPIER.ColliderDesc.cuboid(CAR_COLLIDER.half.x, CAR_COLLIDER.half.y, CAR_COLLIDER.half.z)
+        .setTranslation(CAR_COLLIDER.offset.x, CAR_COLLIDER.offset.y, CAR_COLLIDER.offset.z)
+        .setFriction(1.2)
+        .setRestitution(0.26)
+        .setDensity(0.72)
+        .setActiveHooks(RAPIER.ActiveHooks.FILTER_CONTACT_PAIRS),
+      body
+    );
+    movers.add(body.handle);
+    cars.set(id, {
+      body,
+      collider,
+      input: sanitizeInput(null),
+      smoothX: 0,
+      smoothY: 0,
+      speedAlong: 0,
+      boost: { charge: 1, active: false },
+      passThrough: 0
+    });
+  }
+
+  function removePlayer(id) {
+    const car = cars.get(id);
+    if (!car) return;
+    movers.delete(car.body.handle);
+    passThrough.delete(car.body.handle);
+    world.removeRigidBody(car.body);
+    cars.delete(id);
+  }
+
+  // Teleports a car (race grid); `pose` = { x, z, yaw } with the car's forward = -Z convention.
+  function placePlayer(id, pose) {
+    const car = cars.get(id);
+    if (!car) return;
+    car.body.setTranslation({ x: pose.x, y: level.spawn.height + levelHeightAt(level, pose.x, pose.z), z: pose.z }, true);
+    car.body.setRotation({ x: 0, y: Math.sin(pose.yaw / 2), z: 0, w: Math.cos(pose.yaw / 2) }, true);
+    car.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    car.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+    car.smoothX = 0;
+    car.smoothY = 0;
+  }
+
+  // Back to the nearest spawn slot no other car is near; returns the pose ({ x, y, z, yaw }).
+  function respawnPlayer(id) {
+    const car = cars.get(id);
+    if (!car) return null;
+    const others = [...cars.values()].filter((other) => other !== car).map((other) => other.body.translation());
+    const slot = levelNearestSpawn(level, car.body.translation(), (s) =>
+      others.every((p) => Math.hypot(p.x - s.x, p.z - s.z) > RESPAWN.clearance)
+    );
+    placePlayer(id, slot);
+    car.passThrough = RESPAWN.passThroughSeconds;
+    passThrough.add(car.body.handle);
+    return slot;
+  }
+
+  function setInput(id, input) {
+    const car = cars.get(id);
+    if (car) car.input = sanitizeInput(input);
+  }
+
+  function step() {
+    for (const car of cars.values()) {
+      car.smoothX = approach(car.smoothX, car.input.x, DRIVE.inputAccel * FIXED_DT);
+      car.smoothY = approach(car.smoothY, car.input.y, DRIVE.inputAccel * FIXED_DT);
+      const grounded = countGroundedWheels(RAPIER, world, car.body, CAR_WHEELS, WHEEL_REACH) > 0;
+      const mods = { handbrake: car.input.handbrake, boost: updateBoost(car.boost, car.input.boost, FIXED_DT) };
+      car.speedAlong = applyDriveForces(car.body, car.smoothX, car.smoothY, grounded, mods).speedAlong;
+      if (car.passThrough > 0) {
+        car.passThrough -= FIXED_DT;
+        if (car.passThrough <= 0) passThrough.delete(car.body.handle);
+      }
+    }
+    world.step(undefined, hooks);
+  }
+
+  function playerState(car) {
+    const t = car.body.translation();
+    const r = car.body.rotation();
+    const v = car.body.linvel();
+    return {
+      p: [round(t.x, 3), round(t.y, 3), round(t.z, 3)],
+      q: [round(r.x, 4), round(r.y, 4), round(r.z, 4), round(r.w, 4)],
+      v: [round(v.x, 3), round(v.y, 3), round(v.z, 3)],
+      y: round(yawFromQuaternion(r), 4),
+      s: round(car.speedAlong, 3),
+      st: round(-car.smoothX * (Math.PI / 7), 4),
+      b: isBraking(car.speedAlong, car.smoothY),
+      t: Date.now()
+    };
+  }
+
+  function getState(id) {
+    const car = cars.get(id);
+    return car ? playerState(car) : null;
+  }
+
+  // Dynamic prop transforms as [id, x, y, z, qx, qy, qz, qw]; sleeping ones are skipped unless `all`.
+  function propStates(all = false) {
+    const out = [];
+    for (const { prop, body } of props) {
+      if (!prop.dynamic) continue;
+      if (!all && body.isSleeping()) continue;
+      const t = body.translation();
+      const r = body.rotation();
+      out.push([prop.id, round(t.x, 3), round(t.y, 3), round(t.z, 3), round(r.x, 4), round(r.y, 4), round(r.z, 4), round(r.w, 4)]);
+    }
+    return out;
+  }
+
+  function snapshot() {
+    const players = [];
+    for (const [id, car] of cars.entries()) {
+      players.push({ id, state: playerState(car) });
+    }
+    return { players, props: propStates() };
+  }
+
+  function worldInfo() {
+    return { props: layout, propStates: propStates(true) };
+  }
+
+  function dispose() {
+    world.free();
+    cars.clear();
+  }
+
+  return { addPlayer, removePlayer, placePlayer, respawnPlayer, setInput, step, getState, snapshot, worldInfo, dispose };
+}
+
+module.exports = { initAuthority, createRoomSimulation };
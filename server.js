@@ -1,13 +1,94 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { randomUUID } = require('crypto');
+const { randomUUID, randomBytes } = require('crypto');
 const { WebSocketServer } = require('ws');
+const protocol = require('./src/shared/protocol.js');
+const { DRIVE, BOOST, RESPAWN, raceGridSlot, parseSeed } = require('./src/shared/sim.js');
+const { DEFAULT_LEVEL, normalizeLevel, levelHalfExtent, levelPropCount, levelSpawnSlot } = require('./src/shared/level.js');
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 const PUBLIC_DIR = __dirname;
 const WS_PATH = '/ws';
-const clients = new Map();
+const DEFAULT_ROOM = 'lobby';
+const ROOM_MAX_PLAYERS = process.env.ROOM_MAX_PLAYERS ? Number(process.env.ROOM_MAX_PLAYERS) : 8;
+const WORLD_SEED = parseSeed(process.env.WORLD_SEED); // fixed layout for every room; random per room if unset
+const LEVELS_DIR = path.join(__dirname, 'levels');
+const DEFAULT_LEVEL_NAME = process.env.LEVEL || 'arena'; // levels/<name>.json for rooms that do not ask for one
+const AUTHORITATIVE = process.env.AUTHORITATIVE === '1';
+const SIM_HZ = 60;
+const authority = AUTHORITATIVE ? require('./authority') : null;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+}
+
+// Everyone gets one batched snapshot per tick, in relay and authoritative mode alike.
+const SNAPSHOT_HZ = Math.min(SIM_HZ, Math.max(1, envNumber('SNAPSHOT_HZ', 20)));
+const SNAPSHOT_EVERY = Math.max(1, Math.round(SIM_HZ / SNAPSHOT_HZ)); // sim ticks per authoritative snapshot
+
+// Interest management: each recipient only hears about cars near its own. 0 disables a limit.
+const INTEREST = {
+  radius: envNumber('INTEREST_RADIUS', 90), // metres around the recipient's car
+  nearest: envNumber('INTEREST_NEAREST', 0) // keep at most this many of the closest cars
+};
+
+// Abuse limits. Close codes: 1008 policy violation (rate, per-IP cap), 1009 too big (set by ws).
+// An honest relay client sends about 62 msg/s: state, snapshot acks and its prop stream at 20 Hz
+// each, a ping every 2 s and chat/emote/horn at most every 600 ms (authoritative rooms: input at
+// up to 30 Hz instead of state and props). The rate leaves half that again as headroom.
+const LIMITS = {
+  maxPayload: envNumber('WS_MAX_PAYLOAD', 4096),    // bytes per frame
+  messagesPerSecond: envNumber('WS_RATE', 90),      // token bucket refill
+  burst: envNumber('WS_BURST', 180),                // bucket size
+  maxDropped: envNumber('WS_MAX_DROPPED', 60),      // over-limit messages tolerated per window before closing
+  dropWindowMs: envNumber('WS_DROP_WINDOW_MS', 10000),
+  connectionsPerIp: envNumber('WS_MAX_PER_IP', 4),
+  trustProxy: process.env.TRUST_PROXY === '1'       // also trusted implicitly for loopback (cloudflared)
+};
+const connectionsByIp = new Map(); // ip -> open sockets
+
+const CHAT = {
+  maxLength: protocol.CHAT_MAX_LENGTH,
+  minIntervalMs: 600, // per-client chat/emote/horn pacing on top of the general rate limit
+};
+const PING_MIN_INTERVAL_MS = 1000; // clients ping every 2 s for the scoreboard
+
+// Race mode: the server runs the countdown and decides the finishing order; clients time
+// their own laps against the checkpoint sensors.
+const RACE = {
+  countdownMs: 3000,
+  finishTimeoutMs: 60000, // after the first finisher, the rest get this long
+  minLapMs: 8000,         // a full race faster than laps x this is rejected
+  latencySlackMs: 1500    // reported times may trail the server clock by this much
+};
+
+// Plausibility limits for client-reported movement (relay mode only; the authoritative sim
+// never trusts positions). Violations decay over time; enough of them flag, then kick.
+const ANTICHEAT = {
+  enabled: process.env.ANTICHEAT !== 'off',
+  maxSpeed: DRIVE.maxReverse * BOOST.speedScale * 1.5, // boosted reverse is the fastest; the clamp lets it overshoot
+  moveSlack: 2.5,                   // extra metres allowed per update for jitter/bunched packets
+  minElapsed: 0.05,                 // treat faster updates as 50 ms apart
+  maxElapsed: 1,                    // a stalled client cannot bank time for one long jump
+  boundsMargin: 1.5,                // outside the walls by more than this = out of arena
+  minHeight: -2,
+  maxHeight: 25,
+  correctionGraceMs: 750,           // states still in flight after a correction are dropped quietly
+  flagAt: 5,
+  kickAt: 15,
+  decayPerSecond: 0.25
+};
+// Dropped players keep their id, slot and state for a while; a reconnect that presents the
+// resume token from hello picks them up again and nobody else sees a leave/join.
+const RESUME = {
+  graceMs: envNumber('RESUME_GRACE_MS', 20000)
+};
+const resumeTokens = new Map(); // token -> id
+const clients = new Map(); // id -> { ws, name, state, lastSeen, room, index, proto, encoder, hasState, violations, flagged, token, detachedTimer }
+const rooms = new Map(); // code -> { code, members: Set<id>, maxPlayers, seed, level, sim, seq, dirty, props, propsDirty }
+const levelCache = new Map(); // name -> normalized level
 
 function log(...args) {
   const ts = new Date().toISOString();
@@ -102,44 +183,794 @@ const server = http.createServer((req, res) => {
   fs.createReadStream(resolved).pipe(res);
 });
 
-const wss = new WebSocketServer({ server, path: WS_PATH, clientTracking: true, perMessageDeflate: false });
+const wss = new WebSocketServer({
+  server,
+  path: WS_PATH,
+  clientTracking: true,
+  perMessageDeflate: false,
+  maxPayload: LIMITS.maxPayload
+});
+
+function clientIp(req) {
+  const remote = req.socket.remoteAddress || '';
+  const loopback = remote === '127.0.0.1' || remote === '::1' || remote === '::ffff:127.0.0.1';
+  if (LIMITS.trustProxy || loopback) {
+    const forwarded = req.headers['cf-connecting-ip'] || String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return remote;
+}
+
+function createRateLimiter() {
+  let tokens = LIMITS.burst;
+  let last = Date.now();
+  let dropped = 0;
+  let droppedSince = 0;
+  return {
+    // 'ok', 'drop' (over the rate) or 'close' (kept flooding within one drop window).
+    take() {
+      const now = Date.now();
+      tokens = Math.min(LIMITS.burst, tokens + ((now - last) / 1000) * LIMITS.messagesPerSecond);
+      last = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 'ok';
+      }
+      if (now - droppedSince > LIMITS.dropWindowMs) {
+        dropped = 0;
+        droppedSince = now;
+      }
+      dropped++;
+      return dropped > LIMITS.maxDropped ? 'close' : 'drop';
+    }
+  };
+}
+
+function normalizeRoomCode(raw) {
+  const code = String(raw || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 24);
+  return code || DEFAULT_ROOM;
+}
+
+function normalizeRoomCap(raw) {
+  const cap = Math.floor(Number(raw));
+  if (!Number.isFinite(cap) || cap < 1) return ROOM_MAX_PLAYERS;
+  return Math.min(cap, ROOM_MAX_PLAYERS);
+}
+
+// The first player in can pick the seed (?seed=); otherwise WORLD_SEED or a random one.
+function roomSeed(requested) {
+  const seed = parseSeed(requested);
+  if (seed !== null) return seed;
+  return WORLD_SEED !== null ? WORLD_SEED : randomBytes(4).readUInt32LE(0);
+}
 
-function broadcast(data, skipId) {
+// Level names map straight to files, so only plain names are accepted. Bad files are logged
+// once per lookup and treated as missing.
+function loadLevel(name) {
+  if (typeof name !== 'string' || !/^[a-z0-9_-]{1,32}$/i.test(name)) return null;
+  const key = name.toLowerCase();
+  if (levelCache.has(key)) return levelCache.get(key);
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, `${key}.json`), 'utf8'));
+    const level = normalizeLevel(raw);
+    levelCache.set(key, level);
+    return level;
+  } catch (err) {
+    if (err.code !== 'ENOENT') log('level load failed', key, err.message);
+    return null;
+  }
+}
+
+// Like the seed, the first player in picks the level (?level=); unknown names fall back to LEVEL.
+function roomLevel(requested) {
+  for (const name of [requested, DEFAULT_LEVEL_NAME]) {
+    const data = loadLevel(name);
+    if (data) return { name: name.toLowerCase(), data };
+  }
+  return { name: 'default', data: normalizeLevel(DEFAULT_LEVEL) };
+}
+
+function getOrCreateRoom(code, maxPlayers, seed, levelName) {
+  let room = rooms.get(code);
+  if (!room) {
+    const worldSeed = roomSeed(seed);
+    const level = roomLevel(levelName);
+    room = {
+      code,
+      members: new Set(),
+      maxPlayers: normalizeRoomCap(maxPlayers),
+      seed: worldSeed,
+      level,
+      sim: authority ? authority.createRoomSimulation(worldSeed, level.data) : null,
+      seq: 0,
+      dirty: false, // relay rooms: some state changed since the last snapshot
+      props: new Map(), // relay rooms: prop id -> { owner, row } streamed by the owning client
+      propsDirty: new Set(),
+      race: { state: 'idle', racers: new Set(), finishers: [], startedAt: 0, timer: null }
+    };
+    rooms.set(code, room);
+    log('room created', code, 'cap:', room.maxPlayers, 'seed:', room.seed, 'level:', level.name);
+  }
+  return room;
+}
+
+function broadcast(roomCode, data, skipId) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
   const payload = typeof data === 'string' ? data : JSON.stringify(data);
-  for (const [id, client] of clients.entries()) {
+  for (const id of room.members) {
     if (id === skipId) continue;
-    if (client.ws.readyState === client.ws.OPEN) {
+    const client = clients.get(id);
+    if (client && client.ws.readyState === client.ws.OPEN) {
       client.ws.send(payload);
     }
   }
 }
 
+function send(client, payload) {
+  if (client && client.ws.readyState === client.ws.OPEN) client.ws.send(payload);
+}
+
+// Numeric per-room player slots so binary frames can skip the UUIDs.
+function allocateIndex(room) {
+  const used = new Set();
+  for (const memberId of room.members) used.add(clients.get(memberId)?.index);
+  for (let i = 0; i < 255; i++) {
+    if (!used.has(i)) return i;
+  }
+  return null;
+}
+
+// The slice of a snapshot one recipient gets: cars within INTEREST.radius of its own, capped
+// to the INTEREST.nearest closest. Its own car is kept only when `includeSelf` (authority mode).
+function playersOfInterest(players, viewerId, includeSelf) {
+  const viewer = players.find((entry) => entry.id === viewerId);
+  const origin = viewer ? viewer.state.p : clients.get(viewerId)?.state.p;
+  const others = [];
+  for (const entry of players) {
+    if (entry.id === viewerId) continue;
+    const p = entry.state.p;
+    const distance = origin ? Math.hypot(p[0] - origin[0], p[2] - origin[2]) : 0;
+    if (INTEREST.radius > 0 && distance > INTEREST.radius) continue;
+    others.push({ entry, distance });
+  }
+  if (INTEREST.nearest > 0 && others.length > INTEREST.nearest) {
+    others.sort((a, b) => a.distance - b.distance);
+    others.length = INTEREST.nearest;
+  }
+  const visible = others.map(({ entry }) => entry);
+  if (includeSelf && viewer) visible.push(viewer);
+  return visible;
+}
+
+function broadcastSnapshot(room, snapshot) {
+  room.seq = (room.seq + 1) % 0xffff;
+  const includeSelf = Boolean(room.sim);
+  const props = snapshot.props || [];
+  let quantized = null;
+  for (const memberId of room.members) {
+    const client = clients.get(memberId);
+    if (!client || client.ws.readyState !== client.ws.OPEN) continue;
+    const visible = playersOfInterest(snapshot.players, memberId, includeSelf);
+    if (!client.proto) {
+      send(client, JSON.stringify({ type: 'snapshot', players: visible, props }));
+      continue;
+    }
+    if (!quantized) {
+      quantized = new Map();
+      for (const { id, state } of snapshot.players) quantized.set(id, protocol.quantizeState(state));
+    }
+    // Only the recipient's own car carries the reconciliation extras.
+    const players = new Map();
+    for (const { id: playerId } of visible) {
+      const index = clients.get(playerId)?.index;
+      if (index === undefined || index === null) continue;
+      const q = quantized.get(playerId);
+      if (playerId === memberId) {
+        players.set(index, q);
+      } else {
+        const { ext, ...fields } = q;
+        players.set(index, fields);
+      }
+    }
+    send(client, Buffer.from(client.encoder.encode(room.seq, players, props)));
+  }
+}
+
+function relaySnapshot(room) {
+  const players = [];
+  for (const memberId of room.members) {
+    const client = clients.get(memberId);
+    if (client?.hasState) players.push({ id: memberId, state: client.state });
+  }
+  const props = Array.from(room.propsDirty, (propId) => room.props.get(propId).row);
+  room.propsDirty.clear();
+  return { players, props };
+}
+
+// Relay-mode prop rows from a client: [id, x, y, z, qx, qy, qz, qw]. Unknown ids and
+// non-finite values are dropped; positions are kept inside the room's level.
+function sanitizePropRows(room, rows) {
+  if (!Array.isArray(rows)) return [];
+  const limit = levelHalfExtent(room.level.data);
+  const propCount = levelPropCount(room.level.data);
+  const out = [];
+  for (const row of rows.slice(0, propCount)) {
+    if (!Array.isArray(row) || row.length !== 8) continue;
+    const [propId, ...rest] = row.map(Number);
+    if (!Number.isInteger(propId) || propId < 0 || propId >= propCount) continue;
+    if (!rest.every(Number.isFinite)) continue;
+    const [x, y, z, qx, qy, qz, qw] = rest;
+    const len = Math.hypot(qx, qy, qz, qw) || 1;
+    out.push([
+      propId,
+      clampNumber(x, -limit, limit), clampNumber(y, ANTICHEAT.minHeight, ANTICHEAT.maxHeight), clampNumber(z, -limit, limit),
+      qx / len, qy / len, qz / len, qw / len
+    ]);
+  }
+  return out;
+}
+
+// Whoever streams a prop owns it ("last car that touched it"); ownership changes are announced
+// so the other clients switch that prop to kinematic.
+function updateProps(room, id, rows) {
+  for (const row of rows) {
+    const propId = row[0];
+    const entry = room.props.get(propId) || { owner: null, row };
+    if (entry.owner !== id) {
+      entry.owner = id;
+      broadcast(room.code, { type: 'prop-owner', id: propId, owner: id });
+    }
+    entry.row = row;
+    room.props.set(propId, entry);
+    room.propsDirty.add(propId);
+  }
+  if (rows.length) room.dirty = true;
+}
+
+// Props of a player who left go back to the server: everyone simulates them from the last pose.
+function releaseProps(room, id) {
+  for (const [propId, entry] of room.props.entries()) {
+    if (entry.owner !== id) continue;
+    entry.owner = null;
+    broadcast(room.code, { type: 'prop-owner', id: propId, owner: null });
+  }
+}
+
+function joinRoom(id, rawCode, maxPlayers, seed, levelName) {
+  const client = clients.get(id);
+  if (!client) return false;
+  const code = normalizeRoomCode(rawCode);
+  const existing = rooms.get(code);
+  if (existing && !existing.members.has(id) && (existing.members.size >= existing.maxPlayers || allocateIndex(existing) === null)) {
+    client.ws.send(JSON.stringify({ type: 'error', code: 'room-full', room: code, maxPlayers: existing.maxPlayers }));
+    log('room full', code, 'rejected', id);
+    return false;
+  }
+  if (client.room === code) return true;
+  leaveRoom(id);
+
+  const room = getOrCreateRoom(code, maxPlayers, seed, levelName);
+  client.index = allocateIndex(room);
+  room.members.add(id);
+  client.room = code;
+  client.state = snapshotState();
+  client.hasState = false;
+  client.encoder?.reset();
+  room.sim?.addPlayer(id);
+
+  sendHello(id);
+  broadcast(code, { type: 'player-joined', id, index: client.index, name: client.name }, id);
+  log('client joined room', id, code, 'players:', room.members.size);
+  return true;
+}
+
+function sendHello(id, extra) {
+  const client = clients.get(id);
+  const room = rooms.get(client.room);
+  const players = [];
+  for (const otherId of room.members) {
+    const other = clients.get(otherId);
+    if (!other || otherId === id) continue;
+    players.push({
+      id: otherId,
+      index: other.index,
+      name: other.name,
+      state: room.sim ? room.sim.getState(otherId) : snapshotState(other.state)
+    });
+  }
+  const hello = {
+    type: 'hello',
+    id,
+    index: client.index,
+    name: client.name,
+    protocol: client.proto,
+    room: room.code,
+    maxPlayers: room.maxPlayers,
+    seed: room.seed,
+    level: room.level,
+    players,
+    race: { state: room.race.state, laps: room.level.data.track?.laps || 0 },
+    resume: client.token,
+    resumeGraceMs: RESUME.graceMs,
+    ...extra
+  };
+  if (room.sim) {
+    hello.authority = true;
+    hello.world = room.sim.worldInfo();
+  } else {
+    const states = [];
+    const owners = [];
+    for (const [propId, entry] of room.props.entries()) {
+      states.push(entry.row);
+      if (entry.owner) owners.push([propId, entry.owner]);
+    }
+    hello.props = { states, owners };
+  }
+  send(client, JSON.stringify(hello));
+}
+
+function leaveRoom(id) {
+  const client = clients.get(id);
+  if (!client || !client.room) return;
+  const code = client.room;
+  client.room = null;
+  client.index = null;
+  const room = rooms.get(code);
+  if (!room) return;
+  room.members.delete(id);
+  room.sim?.removePlayer(id);
+  room.dirty = true;
+  if (!room.sim) releaseProps(room, id);
+  if (room.race.racers.delete(id)) checkRaceDone(room);
+  broadcast(code, { type: 'player-left', id }, id);
+  if (room.members.size === 0) {
+    clearTimeout(room.race.timer);
+    room.sim?.dispose();
+    rooms.delete(code);
+    log('room closed', code);
+  }
+}
+
+function issueResumeToken(id, client) {
+  if (client.token) resumeTokens.delete(client.token);
+  client.token = RESUME.graceMs > 0 ? randomBytes(18).toString('base64url') : null;
+  if (client.token) resumeTokens.set(client.token, id);
+}
+
+// Kicked clients must not come straight back through the resume path.
+function revokeResume(client) {
+  if (client.token) resumeTokens.delete(client.token);
+  client.token = null;
+}
+
+function dropClient(id) {
+  const client = clients.get(id);
+  if (!client) return;
+  clearTimeout(client.detachedTimer);
+  revokeResume(client);
+  leaveRoom(id);
+  clients.delete(id);
+}
+
+// Socket gone: hold the room slot for RESUME.graceMs if the client can still resume.
+function detachClient(id) {
+  const client = clients.get(id);
+  if (!client) return;
+  if (!client.room || !client.token) {
+    dropClient(id);
+    log('client disconnected', id, 'total:', clients.size);
+    return;
+  }
+  rooms.get(client.room)?.sim?.setInput(id, { x: 0, y: 0 });
+  client.detachedTimer = setTimeout(() => {
+    dropClient(id);
+    log('resume window expired', id, 'total:', clients.size);
+  }, RESUME.graceMs);
+  log('client detached', id, 'holding slot for', RESUME.graceMs, 'ms');
+}
+
+// Moves a held (or still open) player onto a new socket. Returns the id, or null if the
+// token is unknown/expired and the connection should start fresh.
+function resumeClient(token, ws, proto) {
+  const id = token ? resumeTokens.get(token) : null;
+  const client = id ? clients.get(id) : null;
+  if (!client || !client.room) return null;
+  if (client.ws !== ws && client.ws.readyState === client.ws.OPEN) {
+    client.ws.close(4003, 'resumed elsewhere');
+  }
+  clearTimeout(client.detachedTimer);
+  client.detachedTimer = null;
+  client.ws = ws;
+  client.proto = proto;
+  client.encoder = proto ? protocol.createDeltaEncoder() : null;
+  client.lastSeen = Date.now();
+  client.correctedAt = Date.now(); // the first states may still be from before the drop
+  issueResumeToken(id, client);
+  return id;
+}
+
+function clampNumber(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function finiteOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
 function snapshotState(state) {
+  const p = Array.isArray(state?.p) ? state.p : [];
   return {
-    p: state?.p || [0, 0, 0],
-    y: state?.y || 0,
-    s: state?.s || 0,
-    st: state?.st || 0,
+    p: [finiteOr(p[0], 0), finiteOr(p[1], 0), finiteOr(p[2], 0)],
+    y: finiteOr(state?.y, 0),
+    s: finiteOr(state?.s, 0),
+    st: finiteOr(state?.st, 0),
     b: Boolean(state?.b),
+    l: state?.l !== false,
     t: Date.now()
   };
 }
 
-wss.on('connection', (ws) => {
-  const id = randomUUID();
-  clients.set(id, { ws, state: snapshotState(), lastSeen: Date.now() });
-  log('client connected', id, 'total:', clients.size);
+// Returns null when the new state is plausible, otherwise a short reason for the log.
+function checkMovement(client, state, room) {
+  const [x, y, z] = state.p;
+  const limit = levelHalfExtent(room.level.data) + ANTICHEAT.boundsMargin;
+  if (Math.abs(x) > limit || Math.abs(z) > limit || y < ANTICHEAT.minHeight || y > ANTICHEAT.maxHeight) {
+    return `out of bounds (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`;
+  }
+  if (Math.abs(state.s) > ANTICHEAT.maxSpeed) {
+    return `speed ${state.s.toFixed(1)} > ${ANTICHEAT.maxSpeed}`;
+  }
+  if (!client.hasState) return null;
 
-  const others = [];
-  for (const [otherId, client] of clients.entries()) {
-    if (otherId === id) continue;
-    others.push({ id: otherId, state: snapshotState(client.state) });
+  const prev = client.state;
+  const elapsed = clampNumber((state.t - prev.t) / 1000, ANTICHEAT.minElapsed, ANTICHEAT.maxElapsed);
+  const moved = Math.hypot(x - prev.p[0], y - prev.p[1], z - prev.p[2]);
+  const allowed = ANTICHEAT.maxSpeed * elapsed + ANTICHEAT.moveSlack;
+  if (moved > allowed) {
+    return `teleport ${moved.toFixed(1)}m in ${elapsed.toFixed(2)}s (max ${allowed.toFixed(1)})`;
+  }
+  return null;
+}
+
+function recordViolation(id, client, reason) {
+  const now = Date.now();
+  const decay = ((now - (client.violationAt || now)) / 1000) * ANTICHEAT.decayPerSecond;
+  client.violations = Math.max(0, (client.violations || 0) - decay) + 1;
+  client.violationAt = now;
+  log('movement violation', id, reason, 'score:', client.violations.toFixed(1));
+
+  if (client.violations >= ANTICHEAT.kickAt) {
+    log('kicking client', id, 'for repeated movement violations');
+    revokeResume(client);
+    client.ws.close(4002, 'movement violations');
+    return;
+  }
+  if (client.violations >= ANTICHEAT.flagAt && !client.flagged) {
+    client.flagged = true;
+    log('client flagged', id);
+  }
+  // Snap the offender back to the last state everyone else saw.
+  client.correctedAt = now;
+  send(client, JSON.stringify({ type: 'correction', reason, state: client.state }));
+}
+
+function startRace(room) {
+  const race = room.race;
+  const { track } = room.level.data;
+  if (!track || race.state === 'countdown' || race.state === 'running') return;
+  clearTimeout(race.timer);
+  race.state = 'countdown';
+  race.racers = new Set(room.members);
+  race.finishers = [];
+  race.startedAt = Date.now() + RACE.countdownMs;
+  const grid = {};
+  let slot = 0;
+  for (const id of race.racers) {
+    const pose = raceGridSlot(slot, track);
+    grid[id] = slot;
+    if (room.sim) {
+      room.sim.placePlayer(id, pose);
+    } else {
+      // The client jumps to the grid itself; make that the anti-cheat baseline.
+      const client = clients.get(id);
+      client.state = snapshotState({ p: [pose.x, 0.6, pose.z], y: pose.yaw });
+      client.correctedAt = Date.now();
+    }
+    slot++;
+  }
+  broadcast(room.code, { type: 'race-countdown', startsIn: RACE.countdownMs, laps: track.laps, grid });
+  race.timer = setTimeout(() => {
+    race.state = 'running';
+    race.timer = null;
+  }, RACE.countdownMs);
+  log('race countdown', room.code, 'racers:', race.racers.size);
+}
+
+function finishRace(room, id, data) {
+  const race = room.race;
+  if (race.state !== 'running' || !race.racers.has(id)) return;
+  if (race.finishers.some((f) => f.id === id)) return;
+  const elapsed = Date.now() - race.startedAt;
+  let time = Number(data.time);
+  if (!Number.isFinite(time) || time < room.level.data.track.laps * RACE.minLapMs || time > elapsed + 250) {
+    log('race finish rejected', id, data.time, 'server elapsed:', elapsed);
+    return;
+  }
+  time = Math.max(time, elapsed - RACE.latencySlackMs);
+  const bestLap = Number(data.bestLap);
+  const finisher = {
+    id,
+    name: clients.get(id)?.name || '',
+    place: race.finishers.length + 1,
+    time: Math.round(time),
+    bestLap: Number.isFinite(bestLap) && bestLap > 0 ? Math.round(bestLap) : null
+  };
+  race.finishers.push(finisher);
+  broadcast(room.code, { type: 'race-finish', ...finisher });
+  log('race finish', room.code, id, 'place:', finisher.place, 'time:', finisher.time);
+  if (race.finishers.length === 1 && !checkRaceDone(room)) {
+    race.timer = setTimeout(() => endRace(room), RACE.finishTimeoutMs);
+  } else {
+    checkRaceDone(room);
   }
+}
+
+// Ends the race once every racer still in the room has finished. Returns true if it ended.
+function checkRaceDone(room) {
+  const race = room.race;
+  if (race.state !== 'running') {
+    if (race.state === 'countdown' && race.racers.size === 0) endRace(room);
+    return false;
+  }
+  const finished = new Set(race.finishers.map((f) => f.id));
+  for (const id of race.racers) {
+    if (!finished.has(id)) return false;
+  }
+  endRace(room);
+  return true;
+}
+
+function endRace(room) {
+  const race = room.race;
+  clearTimeout(race.timer);
+  race.timer = null;
+  const finished = new Set(race.finishers.map((f) => f.id));
+  const dnf = Array.from(race.racers).filter((id) => !finished.has(id))
+    .map((id) => ({ id, name: clients.get(id)?.name || '' }));
+  broadcast(room.code, { type: 'race-results', results: race.finishers, dnf });
+  log('race over', room.code, 'finished:', race.finishers.length, 'dnf:', dnf.length);
+  race.state = 'idle';
+  race.racers = new Set();
+  race.finishers = [];
+}
 
-  ws.send(JSON.stringify({ type: 'hello', id, players: others }));
-  broadcast({ type: 'player-joined', id }, id);
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+// Trimmed, single-line, length-capped and HTML-escaped; null if nothing is left.
+function sanitizeChat(raw) {
+  if (typeof raw !== 'string') return null;
+  const text = raw.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, CHAT.maxLength);
+  return text ? escapeHtml(text) : null;
+}
+
+// Plain text (clients render names with textContent / canvas); empty string if unusable.
+function sanitizeNickname(raw) {
+  if (typeof raw !== 'string') return '';
+  return raw.replace(/[\u0000-\u001f\u007f<>]+/g, '').replace(/\s+/g, ' ').trim().slice(0, protocol.NICKNAME_MAX_LENGTH);
+}
+
+function isSpawnSlot(level, x, z) {
+  return level.spawn.slots.some((_, i) => {
+    const slot = levelSpawnSlot(level, i);
+    return Math.hypot(slot.x - x, slot.z - z) < 0.5;
+  });
+}
+
+// Flip/fall recovery and manual resets. Authoritative rooms pick the slot here; in relay rooms
+// the client has already jumped, so only a real spawn slot is accepted and it becomes the new
+// anti-cheat baseline. Everyone is told so remote cars snap instead of sliding across the map.
+function respawnPlayer(room, id, data) {
+  const client = clients.get(id);
+  const now = Date.now();
+  if (now - (client.lastRespawnAt || 0) < RESPAWN.minIntervalMs / 2) return; // half: packets can bunch up
+  let pose = null;
+  if (room.sim) {
+    pose = room.sim.respawnPlayer(id);
+  } else {
+    const p = Array.isArray(data.p) ? data.p.map(Number) : [];
+    if (!p.slice(0, 3).every(Number.isFinite) || !isSpawnSlot(room.level.data, p[0], p[2])) {
+      log('respawn rejected', id, JSON.stringify(data.p));
+      return;
+    }
+    pose = { x: p[0], y: p[1], z: p[2], yaw: finiteOr(data.y, 0) };
+    client.state = snapshotState({ p, y: pose.yaw });
+    client.correctedAt = now;
+  }
+  if (!pose) return;
+  client.lastRespawnAt = now;
+  const message = { type: 'respawn', id, p: [pose.x, pose.y, pose.z], y: pose.yaw };
+  broadcast(room.code, message, room.sim ? undefined : id);
+}
+
+// Scoreboard feed: each ping reports the sender's round trip and scores, and the pong returns
+// everyone's as [id, ping, drift, lap] rows.
+function answerPing(room, client, data) {
+  const now = Date.now();
+  if (now - (client.lastPingAt || 0) < PING_MIN_INTERVAL_MS) return;
+  client.lastPingAt = now;
+  client.stats = {
+    ping: Number.isFinite(data.rtt) ? clampNumber(Math.round(data.rtt), 0, 9999) : null,
+    drift: Number.isFinite(data.drift) ? clampNumber(Math.round(data.drift), 0, 1e9) : 0,
+    lap: Number.isFinite(data.lap) ? clampNumber(Math.round(data.lap), 0, 99) : 0
+  };
+  const players = [];
+  for (const memberId of room.members) {
+    const stats = clients.get(memberId)?.stats;
+    players.push([memberId, stats?.ping ?? null, stats?.drift ?? 0, stats?.lap ?? 0]);
+  }
+  send(client, JSON.stringify({ type: 'pong', t: finiteOr(data.t, 0), players }));
+}
+
+function allowChat(client) {
+  const now = Date.now();
+  if (now - (client.lastChatAt || 0) < CHAT.minIntervalMs) return false;
+  client.lastChatAt = now;
+  return true;
+}
+
+function handleClientMessage(id, data) {
+  const client = clients.get(id);
+  if (!client) return;
+  const room = client.room ? rooms.get(client.room) : null;
+
+  if (data.type === 'join') {
+    joinRoom(id, data.room, data.maxPlayers, data.seed, data.level);
+  } else if (data.type === 'chat') {
+    if (!room || !allowChat(client)) return;
+    const text = sanitizeChat(data.text);
+    if (!text) return;
+    broadcast(room.code, { type: 'chat', id, text, t: Date.now() });
+  } else if (data.type === 'nickname') {
+    const name = sanitizeNickname(data.name);
+    if (name === client.name || !allowChat(client)) return;
+    client.name = name;
+    if (room) broadcast(room.code, { type: 'player-updated', id, name });
+  } else if (data.type === 'emote') {
+    if (!room || !protocol.EMOTES.includes(data.emote) || !allowChat(client)) return;
+    broadcast(room.code, { type: 'emote', id, emote: data.emote }, id);
+  } else if (data.type === 'horn') {
+    if (!room || !allowChat(client)) return;
+    broadcast(room.code, { type: 'horn', id }, id);
+  } else if (data.type === 'race-start') {
+    if (room) startRace(room);
+  } else if (data.type === 'race-finish') {
+    if (room) finishRace(room, id, data);
+  } else if (data.type === 'ping') {
+    if (room) answerPing(room, client, data);
+  } else if (data.type === 'respawn') {
+    if (room) respawnPlayer(room, id, data);
+  } else if (data.type === 'ack') {
+    client.encoder?.ack(data.seq);
+  } else if (data.type === 'input' && data.input) {
+    if (!room?.sim) return;
+    room.sim.setInput(id, data.input);
+    client.lastSeen = Date.now();
+  } else if (data.type === 'props') {
+    if (!room || room.sim) return;
+    updateProps(room, id, sanitizePropRows(room, data.props));
+  } else if (data.type === 'state' && data.state) {
+    if (!room || room.sim) return;
+    const state = snapshotState(data.state);
+    client.lastSeen = Date.now();
+    const violation = ANTICHEAT.enabled ? checkMovement(client, state, room) : null;
+    if (violation) {
+      if (Date.now() - (client.correctedAt || 0) > ANTICHEAT.correctionGraceMs) {
+        recordViolation(id, client, violation);
+      }
+      return;
+    }
+    client.state = state;
+    client.hasState = true;
+    room.dirty = true; // goes out with the next snapshot tick
+  }
+}
+
+const BINARY_TYPES = {
+  [protocol.MSG.STATE]: 'state',
+  [protocol.MSG.INPUT]: 'input',
+  [protocol.MSG.ACK]: 'ack',
+  [protocol.MSG.PROPS]: 'props'
+};
+
+function decodeBinary(id, raw) {
+  const buf = Array.isArray(raw) ? Buffer.concat(raw) : Buffer.from(raw);
+  if (buf.length < 2) return null;
+  try {
+    const msg = protocol.decode(new DataView(buf.buffer, buf.byteOffset, buf.byteLength));
+    if (msg.unsupported) {
+      log('unsupported protocol version from', id, msg.version);
+      return null;
+    }
+    const type = BINARY_TYPES[msg.type];
+    return type ? { ...msg, type } : null;
+  } catch (err) {
+    log('invalid binary frame from', id, err.message);
+    return null;
+  }
+}
+
+function startSession(id, ws, query, proto) {
+  clients.set(id, {
+    ws,
+    name: sanitizeNickname(query.get('name')),
+    state: snapshotState(),
+    lastSeen: Date.now(),
+    room: null,
+    index: null,
+    proto,
+    encoder: proto ? protocol.createDeltaEncoder() : null,
+    hasState: false,
+    violations: 0,
+    flagged: false,
+    token: null,
+    detachedTimer: null
+  });
+  issueResumeToken(id, clients.get(id));
+  log('client connected', id, JSON.stringify(clients.get(id).name), 'total:', clients.size, proto ? `protocol v${proto}` : 'json');
+
+  if (!joinRoom(id, query.get('room'), query.get('max'), query.get('seed'), query.get('level'))) {
+    ws.close(4001, 'room full');
+  }
+}
+
+wss.on('connection', (ws, req) => {
+  const ip = clientIp(req);
+  const openFromIp = connectionsByIp.get(ip) || 0;
+  if (openFromIp >= LIMITS.connectionsPerIp) {
+    log('too many connections from', ip);
+    ws.close(1008, 'too many connections');
+    return;
+  }
+  connectionsByIp.set(ip, openFromIp + 1);
+
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const limiter = createRateLimiter();
+  const proto = Number(query.get('proto')) === protocol.PROTOCOL_VERSION ? protocol.PROTOCOL_VERSION : 0;
+  const resumedId = resumeClient(query.get('resume'), ws, proto);
+  const id = resumedId || randomUUID();
+  if (resumedId) {
+    const client = clients.get(id);
+    const room = rooms.get(client.room);
+    log('client resumed', id, 'room:', client.room, 'total:', clients.size);
+    sendHello(id, { resumed: true, state: room.sim ? room.sim.getState(id) : client.state });
+  } else {
+    startSession(id, ws, query, proto);
+  }
+
+  ws.on('message', (raw, isBinary) => {
+    if (ws.readyState !== ws.OPEN) return;
+    const verdict = limiter.take();
+    if (verdict === 'close') {
+      log('rate limit exceeded, closing', id, ip);
+      const client = clients.get(id);
+      if (client) revokeResume(client);
+      ws.close(1008, 'rate limit exceeded');
+      return;
+    }
+    if (verdict === 'drop') return;
+
+    if (isBinary) {
+      const msg = decodeBinary(id, raw);
+      if (msg) handleClientMessage(id, msg);
+      return;
+    }
 
-  ws.on('message', (raw) => {
     let data;
     try {
       data = JSON.parse(raw.toString());
@@ -147,21 +978,25 @@ wss.on('connection', (ws) => {
       log('invalid json from', id, err.message);
       return;
     }
+    if (!data || typeof data !== 'object') return;
+    handleClientMessage(id, data);
+  });
 
-    if (data.type === 'state' && data.state) {
-      const state = snapshotState(data.state);
+  ws.on('error', (err) => {
+    log('socket error', id, err.message);
+    // ws closes with 1009 right after this; the client won't resume, so neither do we.
+    if (err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
       const client = clients.get(id);
-      if (!client) return;
-      client.state = state;
-      client.lastSeen = Date.now();
-      broadcast({ type: 'state', id, state }, id);
+      if (client?.ws === ws) revokeResume(client);
     }
   });
 
   ws.on('close', () => {
-    clients.delete(id);
-    broadcast({ type: 'player-left', id }, id);
-    log('client disconnected', id, 'total:', clients.size);
+    const remaining = (connectionsByIp.get(ip) || 1) - 1;
+    if (remaining > 0) connectionsByIp.set(ip, remaining);
+    else connectionsByIp.delete(ip);
+    if (clients.get(id)?.ws !== ws) return; // superseded by a resumed connection
+    detachClient(id);
   });
 });
 
@@ -172,15 +1007,53 @@ setInterval(() => {
     if (client.ws.readyState !== client.ws.OPEN) continue;
     if (now - client.lastSeen > HEARTBEAT_MS * 2) {
       log('closing stale connection', id);
-      client.ws.terminate();
-      clients.delete(id);
-      broadcast({ type: 'player-left', id }, id);
+      client.ws.terminate(); // the close handler detaches it like any other drop
     } else {
       client.ws.ping();
     }
   }
 }, HEARTBEAT_MS);
 
-server.listen(PORT, () => {
-  log(`server listening on http://localhost:${PORT}`);
-});
+// Relay rooms: clients push states whenever they like; the server batches the latest ones.
+setInterval(() => {
+  for (const room of rooms.values()) {
+    if (room.sim || !room.dirty) continue;
+    room.dirty = false;
+    broadcastSnapshot(room, relaySnapshot(room));
+  }
+}, 1000 / SNAPSHOT_HZ);
+
+if (authority) {
+  let simTick = 0;
+  let simLast = process.hrtime.bigint();
+  let simAccum = 0;
+  setInterval(() => {
+    const now = process.hrtime.bigint();
+    simAccum = Math.min(simAccum + Number(now - simLast) / 1e9, 0.25);
+    simLast = now;
+    while (simAccum >= 1 / SIM_HZ) {
+      simAccum -= 1 / SIM_HZ;
+      simTick++;
+      for (const room of rooms.values()) room.sim?.step();
+      if (simTick % SNAPSHOT_EVERY !== 0) continue;
+      for (const room of rooms.values()) {
+        if (room.sim) broadcastSnapshot(room, room.sim.snapshot());
+      }
+    }
+  }, 1000 / SIM_HZ);
+}
+
+function start() {
+  server.listen(PORT, () => {
+    log(`server listening on http://localhost:${PORT}${authority ? ' (authoritative physics)' : ''}`, `snapshots: ${SNAPSHOT_HZ} Hz`);
+  });
+}
+
+if (authority) {
+  authority.initAuthority().then(start, (err) => {
+    log('failed to initialise physics', err.message);
+    process.exit(1);
+  });
+} else {
+  start();
+}
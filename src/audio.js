@@ -0,0 +1,311 @@
+// Procedural sound: engine, tyre squeal, impact thumps, horn and positional engines for remote cars,
+// all synthesized with Web Audio (no sample files). The context is only created by unlock(),
+// which must run inside a user gesture or mobile browsers keep it suspended.
+const ENGINE = {
+  idleHz: 38,
+  rangeHz: 115,    // added at full revs
+  gears: 5,        // fake gearbox so the pitch drops on "shifts"
+  shiftFloor: 0.35, // revs right after a shift, as a fraction of the range
+  gain: 0.11,
+  loadGain: 0.09,
+  cutoffHz: 320,
+  loadCutoffHz: 1500,
+  smoothing: 0.06, // setTargetAtTime constant, seconds
+};
+const SQUEAL = { hz: 1650, spreadHz: 500, q: 9, gain: 0.22, attack: 0.05, release: 0.12 };
+const HORN = { hz: [370, 466], seconds: 0.45, gain: 0.16, cutoffHz: 1800 };
+const IMPACT = { gain: 0.75, minGapMs: 45, decay: 0.22, thumpHz: 72 };
+const REMOTE = {
+  voices: 4,       // nearest remote cars that get an engine
+  maxDistance: 70,
+  refDistance: 5,
+  rolloff: 1.3,
+  gain: 0.7,
+};
+
+function engineRevs(speed, topSpeed) {
+  const ratio = Math.min(1, Math.abs(speed) / topSpeed);
+  if (ratio < 0.02) return 0;
+  const gear = Math.min(ENGINE.gears - 1, Math.floor(ratio * ENGINE.gears));
+  const within = ratio * ENGINE.gears - gear;
+  return ENGINE.shiftFloor + (1 - ENGINE.shiftFloor) * Math.min(1, within);
+}
+
+// `topSpeed` (m/s) maps speed to revs; `volume` 0..1 and `muted` are the saved master settings.
+export function createAudio({ topSpeed, volume = 0.8, muted = false }) {
+  let ctx = null;
+  let master = null;
+  let noise = null;
+  let engine = null;
+  let squeal = null;
+  let lastImpactAt = 0;
+  const remotes = new Map(); // id -> voice
+  const settings = { volume, muted };
+
+  function makeNoise() {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+  }
+
+  // Saw + half-frequency square through a low-pass: the cutoff opens with load.
+  function makeEngineVoice(output, withSub) {
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = ENGINE.cutoffHz;
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    filter.connect(gain).connect(output);
+    const oscs = [ctx.createOscillator()];
+    oscs[0].type = "sawtooth";
+    if (withSub) {
+      const sub = ctx.createOscillator();
+      sub.type = "square";
+      const subGain = ctx.createGain();
+      subGain.gain.value = 0.5;
+      sub.connect(subGain).connect(filter);
+      oscs.push(sub);
+    }
+    oscs[0].connect(filter);
+    oscs.forEach((osc) => osc.start());
+    return { oscs, filter, gain };
+  }
+
+  function driveEngineVoice(voice, revs, load, level) {
+    const t = ctx.currentTime;
+    const hz = ENGINE.idleHz + revs * ENGINE.rangeHz;
+    voice.oscs[0].frequency.setTargetAtTime(hz, t, ENGINE.smoothing);
+    voice.oscs[1]?.frequency.setTargetAtTime(hz / 2, t, ENGINE.smoothing);
+    voice.filter.frequency.setTargetAtTime(ENGINE.cutoffHz + load * ENGINE.loadCutoffHz + revs * 400, t, ENGINE.smoothing);
+    voice.gain.gain.setTargetAtTime((ENGINE.gain + load * ENGINE.loadGain) * level, t, ENGINE.smoothing);
+  }
+
+  function stopEngineVoice(voice) {
+    voice.oscs.forEach((osc) => osc.stop());
+    voice.gain.disconnect();
+  }
+
+  function makePanner() {
+    const panner = ctx.createPanner();
+    panner.panningModel = "equalpower"; // HRTF is too heavy for phones
+    panner.distanceModel = "inverse";
+    panner.refDistance = REMOTE.refDistance;
+    panner.maxDistance = REMOTE.maxDistance;
+    panner.rolloffFactor = REMOTE.rolloff;
+    panner.connect(master);
+    return panner;
+  }
+
+  function placeNode(node, p) {
+    if (node.positionX) {
+      node.positionX.value = p.x;
+      node.positionY.value = p.y;
+      node.positionZ.value = p.z;
+    } else {
+      node.setPosition(p.x, p.y, p.z);
+    }
+  }
+
+  function applyMaster() {
+    if (!master) return;
+    master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, ctx.currentTime, 0.02);
+  }
+
+  function build() {
+    master = ctx.createGain();
+    const limiter = ctx.createDynamicsCompressor();
+    master.connect(limiter).connect(ctx.destination);
+    applyMaster();
+    noise = makeNoise();
+    engine = makeEngineVoice(master, true);
+
+    const source = ctx.createBufferSource();
+    source.buffer = noise;
+    source.loop = true;
+    const band = ctx.createBiquadFilter();
+    band.type = "bandpass";
+    band.frequency.value = SQUEAL.hz;
+    band.Q.value = SQUEAL.q;
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    source.connect(band).connect(gain).connect(master);
+    source.start();
+    squeal = { band, gain, level: 0 };
+
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) ctx.suspend();
+      else ctx.resume();
+    });
+  }
+
+  // Call from a user gesture (tap, click, key). Safe to call repeatedly.
+  function unlock() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!ctx) {
+      ctx = new AudioContextClass();
+      build();
+    }
+    if (ctx.state === "suspended" && !document.hidden) ctx.resume();
+  }
+
+  function ready() {
+    return ctx?.state === "running";
+  }
+
+  function setVolume(value) {
+    settings.volume = Math.min(1, Math.max(0, value));
+    applyMaster();
+  }
+
+  function setMuted(value) {
+    settings.muted = Boolean(value);
+    applyMaster();
+  }
+
+  // The camera is the listener; `forward`/`up` are unit vectors.
+  function listen(position, forward, up) {
+    if (!ready()) return;
+    const l = ctx.listener;
+    if (l.positionX) {
+      const t = ctx.currentTime;
+      l.positionX.setValueAtTime(position.x, t);
+      l.positionY.setValueAtTime(position.y, t);
+      l.positionZ.setValueAtTime(position.z, t);
+      l.forwardX.setValueAtTime(forward.x, t);
+      l.forwardY.setValueAtTime(forward.y, t);
+      l.forwardZ.setValueAtTime(forward.z, t);
+      l.upX.setValueAtTime(up.x, t);
+      l.upY.setValueAtTime(up.y, t);
+      l.upZ.setValueAtTime(up.z, t);
+    } else {
+      l.setPosition(position.x, position.y, position.z);
+      l.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+    }
+  }
+
+  // Our own engine: `speed` is speedAlong (m/s), `throttle` 0..1.
+  function setEngine(speed, throttle) {
+    if (!ready()) return;
+    driveEngineVoice(engine, engineRevs(speed, topSpeed), Math.min(1, Math.max(0, throttle)), 1);
+  }
+
+  // `intensity` 0..1; 0 when the tyres grip.
+  function setSkid(intensity) {
+    if (!ready() || intensity === squeal.level) return;
+    const t = ctx.currentTime;
+    squeal.level = intensity;
+    squeal.gain.gain.setTargetAtTime(intensity * SQUEAL.gain, t, intensity > 0 ? SQUEAL.attack : SQUEAL.release);
+    squeal.band.frequency.setTargetAtTime(SQUEAL.hz + intensity * SQUEAL.spreadHz, t, SQUEAL.attack);
+  }
+
+  // A thump at `position` (world space); `strength` is processCollisions' impactStrength (0..2).
+  function impact(strength, position) {
+    if (!ready()) return;
+    const now = performance.now();
+    if (now - lastImpactAt < IMPACT.minGapMs) return; // a pile-up reports many pairs per step
+    lastImpactAt = now;
+    const t = ctx.currentTime;
+    const level = Math.min(1, strength * 0.55) * IMPACT.gain;
+    const panner = makePanner();
+    placeNode(panner, position);
+
+    const source = ctx.createBufferSource();
+    source.buffer = noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = 350 + strength * 900;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(level, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + IMPACT.decay);
+    source.connect(filter).connect(gain).connect(panner);
+    source.start(t, Math.random() * 0.5, IMPACT.decay);
+
+    const thump = ctx.createOscillator();
+    thump.frequency.setValueAtTime(IMPACT.thumpHz, t);
+    thump.frequency.exponentialRampToValueAtTime(IMPACT.thumpHz * 0.55, t + IMPACT.decay);
+    const thumpGain = ctx.createGain();
+    thumpGain.gain.setValueAtTime(level, t);
+    thumpGain.gain.exponentialRampToValueAtTime(0.001, t + IMPACT.decay);
+    thump.connect(thumpGain).connect(panner);
+    thump.start(t);
+    thump.stop(t + IMPACT.decay);
+    thump.onended = () => panner.disconnect();
+  }
+
+  // Two detuned squares, like a cheap car horn, played at `position`.
+  function horn(position) {
+    if (!ready()) return;
+    const t = ctx.currentTime;
+    const panner = makePanner();
+    placeNode(panner, position);
+    const filter = ctx.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.value = HORN.cutoffHz;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.linearRampToValueAtTime(HORN.gain, t + 0.02);
+    gain.gain.setValueAtTime(HORN.gain, t + HORN.seconds - 0.05);
+    gain.gain.linearRampToValueAtTime(0, t + HORN.seconds);
+    filter.connect(gain).connect(panner);
+    HORN.hz.forEach((hz, i) => {
+      const osc = ctx.createOscillator();
+      osc.type = "square";
+      osc.frequency.value = hz;
+      osc.connect(filter);
+      osc.start(t);
+      osc.stop(t + HORN.seconds);
+      if (i === 0) osc.onended = () => panner.disconnect();
+    });
+  }
+
+  // `cars`: [{ id, position, speed }] for every visible remote car. The nearest few get a voice;
+  // voices for cars that dropped out are released.
+  function setRemotes(cars, listener) {
+    if (!ready()) return;
+    const chosen = cars
+      .map((c) => ({ ...c, dist: Math.hypot(c.position.x - listener.x, c.position.y - listener.y, c.position.z - listener.z) }))
+      .filter((c) => c.dist < REMOTE.maxDistance)
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, REMOTE.voices);
+    const keep = new Set(chosen.map((c) => c.id));
+    for (const [id, voice] of remotes) {
+      if (keep.has(id)) continue;
+      stopEngineVoice(voice);
+      voice.panner.disconnect();
+      remotes.delete(id);
+    }
+    for (const c of chosen) {
+      let voice = remotes.get(c.id);
+      if (!voice) {
+        const panner = makePanner();
+        voice = { ...makeEngineVoice(panner, false), panner, lastSpeed: c.speed };
+        remotes.set(c.id, voice);
+      }
+      placeNode(voice.panner, c.position);
+      // No throttle over the wire: a changing speed reads as load.
+      const load = Math.min(1, Math.abs(Math.abs(c.speed) - Math.abs(voice.lastSpeed)) * 4 + 0.2);
+      voice.lastSpeed = c.speed;
+      driveEngineVoice(voice, engineRevs(c.speed, topSpeed), load, REMOTE.gain);
+    }
+  }
+
+  return {
+    unlock,
+    setVolume,
+    setMuted,
+    listen,
+    setEngine,
+    setSkid,
+    impact,
+    horn,
+    setRemotes,
+    get volume() {
+      return settings.volume;
+    },
+    get muted() {
+      return settings.muted;
+    },
+  };
+}
@@ -1,14 +1,73 @@
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { clone as cloneSkeleton } from "three/examples/jsm/utils/SkeletonUtils.js";
+import { ConvexGeometry } from "three/examples/jsm/geometries/ConvexGeometry.js";
 import RAPIER from "https://cdn.jsdelivr.net/npm/@dimforge/rapier3d-compat@0.12.0/rapier.es.js";
+import "./shared/sim.js";
+import "./shared/level.js";
+import "./shared/protocol.js";
+import { createHud } from "./hud.js";
+import { createAudio } from "./audio.js";
+import { createGamepad } from "./gamepad.js";
+import { loadSettings, createSettingsMenu } from "./settings.js";
+import { loadPref, savePref } from "./prefs.js";
+
+const {
+  GRAVITY,
+  FIXED_DT,
+  DRIVE,
+  BOOST,
+  RESPAWN,
+  clamp,
+  approach,
+  yawFromQuaternion,
+  carWheelAnchors,
+  countGroundedWheels,
+  createPassThroughHooks,
+  updateBoost,
+  applyDriveForces,
+  raceGateFrame,
+  raceGridSlot,
+  createCheckpointSensors,
+  createRandom,
+  hashString,
+  parseSeed,
+  rampPoints,
+  wedgePoints,
+  halfPipeGeometry,
+  createPropBody,
+} = globalThis.MiniCar.sim;
+const {
+  DEFAULT_LEVEL,
+  normalizeLevel,
+  levelHalfExtent,
+  createLevelColliders,
+  terrainHeights,
+  levelHeightAt,
+  levelPropLayout,
+} = globalThis.MiniCar.level;
+const {
+  PROTOCOL_VERSION,
+  MSG,
+  encodeState,
+  encodeInput,
+  encodeAck,
+  encodeProps,
+  createDeltaDecoder,
+  CHAT_MAX_LENGTH,
+  NICKNAME_MAX_LENGTH,
+  EMOTES,
+} = globalThis.MiniCar.protocol;
 
 // --- Hard stop for iOS pinch / double-tap zoom antics ---
 document.addEventListener("gesturestart", (e) => e.preventDefault(), { passive: false });
 document.addEventListener("gesturechange", (e) => e.preventDefault(), { passive: false });
 document.addEventListener("gestureend", (e) => e.preventDefault(), { passive: false });
 ["touchstart","touchmove","touchend"].forEach(evt => {
-  document.addEventListener(evt, (e) => e.preventDefault(), { passive: false });
+  document.addEventListener(evt, (e) => {
+    if (e.target.closest?.(".hud-ui")) return; // HUD buttons/inputs still need taps + focus
+    e.preventDefault();
+  }, { passive: false });
 });
 
 const wrap = document.getElementById("wrap");
@@ -21,8 +80,27 @@ const NETWORK = {
   mode: "offline",
   socket: null,
   id: null,
+  room: new URLSearchParams(location.search).get("room") || "",
+  nickname: "",
   reconnectTimer: null,
-  lastSend: 0
+  halted: false,          // the server sent us away; stay offline until the player asks again
+  roomFull: false,        // ...because the room was full: ask for another one first
+  resumeToken: null,      // from hello; lets a reconnect keep our id, slot and state
+  resumeTimer: null,      // fires when the server's hold on our slot has lapsed
+  resumeGraceMs: 0,
+  lastSend: 0,
+  authority: false, // server runs the physics; we send inputs and reconcile
+  lastInputSent: null,
+  protocol: 0,            // binary protocol version agreed in hello (0 = JSON)
+  indexToId: new Map(),   // per-room player index -> id for binary frames
+  snapshots: createDeltaDecoder()
+};
+
+const AUTHORITY = {
+  snapDistance: 3.5, // beyond this the local car jumps straight to the server pose
+  blend: 0.2,        // share of the error corrected per snapshot below snapDistance
+  inputKeepaliveMs: 200,
+  inputMinIntervalMs: 33, // stay well under the server's per-connection message rate
 };
 
 function setNetStatus(text, online = false) {
@@ -32,21 +110,28 @@ function setNetStatus(text, online = false) {
 }
 
 await RAPIER.init();
-const FIXED_DT = 1 / 60;
 const MAX_ACCUM = 0.25; // avoid spiral of death
-const world = new RAPIER.World({ x: 0, y: -12.8, z: 0 }); // stronger gravity = quicker toy fall
+const world = new RAPIER.World(GRAVITY);
 const eventQueue = new RAPIER.EventQueue(true);
 
 const rigidMeshes = new Map(); // rbHandle -> mesh
 const colliderMetadata = new Map(); // colliderHandle -> { type }
 const dynamicBodies = new Set();
+const moverHandles = new Set(); // handles of dynamic bodies (cars, props), for pass-through contacts
+const props = new Map(); // layout id -> { prop, mesh, body, collider, owner, ownerAt, streaming }
 const tempVec3 = new THREE.Vector3();
 const tempQuat = new THREE.Quaternion();
 
+// Prop layout seed. Online the room's seed from hello wins; ?seed= pins it (and asks the
+// server for it when creating a room).
+const SEED_PARAM = new URLSearchParams(location.search).get("seed");
+let worldSeed = parseSeed(SEED_PARAM) ?? Math.floor(Math.random() * 0x100000000);
+
 const SAFE_ZONE = {
   center: new THREE.Vector3(0, 0, 0),
   radius: 10,   // bigger = fewer props near spawn
   height: 0.6,  // raise if car clips ground on spawn
+  yaw: 0,
 };
 
 const SAFE_SPAWN_SLOTS = [
@@ -69,12 +154,15 @@ function hashIdForSlot(text = "local") {
   return hash;
 }
 
+function safeSlotPosition(slot) {
+  const pos = SAFE_ZONE.center.clone().add(slot);
+  pos.y = SAFE_ZONE.height + levelHeightAt(level, pos.x, pos.z);
+  return pos;
+}
+
 function getSafeSpawnTransform(id = "local") {
   const idx = hashIdForSlot(id) % SAFE_SPAWN_SLOTS.length;
-  const slot = SAFE_SPAWN_SLOTS[idx];
-  const pos = SAFE_ZONE.center.clone().add(slot);
-  pos.y = SAFE_ZONE.height;
-  return { position: pos, yaw: 0 };
+  return { position: safeSlotPosition(SAFE_SPAWN_SLOTS[idx]), yaw: SAFE_ZONE.yaw };
 }
 
 function isInsideSafeZone(x, z, margin = 0) {
@@ -128,16 +216,28 @@ ground.position.y = 0;
 ground.receiveShadow = true;
 scene.add(ground);
 
-const grid = new THREE.GridHelper(220, 44, 0x3a4454, 0x2a3342);
-grid.material.transparent = true;
-grid.material.opacity = 0.25;
-grid.position.y = 0.01;
+// ~5 m cells whatever the ground size; the level editor snaps to the same cells.
+function gridDivisions(size) {
+  return Math.max(1, Math.round(size / 5));
+}
+
+function makeGrid(size) {
+  const helper = new THREE.GridHelper(size, gridDivisions(size), 0x3a4454, 0x2a3342);
+  helper.material.transparent = true;
+  helper.material.opacity = 0.25;
+  helper.position.y = 0.01;
+  return helper;
+}
+let grid = makeGrid(220);
 scene.add(grid);
 
 function registerBody(rb, mesh, collider, meta = {}) {
   if (rb) {
     rigidMeshes.set(rb.handle, mesh);
-    if (meta.dynamic) dynamicBodies.add(rb);
+    if (meta.dynamic) {
+      dynamicBodies.add(rb);
+      moverHandles.add(rb.handle);
+    }
   }
   if (collider) {
     colliderMetadata.set(collider.handle, meta);
@@ -145,112 +245,318 @@ function registerBody(rb, mesh, collider, meta = {}) {
   }
 }
 
-function makeGroundAndBounds() {
-  const groundBody = world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
-  const groundCollider = world.createCollider(
-    RAPIER.ColliderDesc.cuboid(110, 0.1, 110)
-      .setTranslation(0, -0.05, 0)
-      .setFriction(1.15) // higher friction = less sliding (arcade)
-      .setRestitution(0.1), // lower bounce = stickier ground
-    groundBody
+function unregisterBody(rb) {
+  if (!rb) return;
+  for (let i = 0; i < rb.numColliders(); i++) {
+    colliderMetadata.delete(rb.collider(i).handle);
+  }
+  rigidMeshes.delete(rb.handle);
+  dynamicBodies.delete(rb);
+  moverHandles.delete(rb.handle);
+  passThroughBodies.delete(rb.handle);
+  previousTransforms.delete(rb.handle);
+  world.removeRigidBody(rb);
+}
+
+// --- Level ---
+// levels/<name>.json, format in src/shared/level.js. ?level= picks one (and asks the server for
+// it when creating a room); online, the room's level from hello wins.
+const LEVEL_PARAM = new URLSearchParams(location.search).get("level");
+const LEVEL_FALLBACK = "arena";
+let level = normalizeLevel(DEFAULT_LEVEL);
+let levelName = "default";
+const levelBodies = []; // ground + wall bodies of the current level
+const levelMeshes = []; // visible walls
+
+async function fetchLevel(name) {
+  if (typeof name !== "string" || !/^[a-z0-9_-]{1,32}$/i.test(name)) return null;
+  try {
+    const res = await fetch(`levels/${name.toLowerCase()}.json`, { cache: "no-cache" });
+    if (!res.ok) return null;
+    return normalizeLevel(await res.json());
+  } catch (err) {
+    console.warn("Level load failed", name, err);
+    return null;
+  }
+}
+
+async function loadStartLevel() {
+  for (const name of [LEVEL_PARAM, LEVEL_FALLBACK]) {
+    const data = await fetchLevel(name);
+    if (data) {
+      applyLevel(data, name.toLowerCase());
+      return;
+    }
+  }
+  applyLevel(normalizeLevel(DEFAULT_LEVEL), "default");
+}
+
+function makeWallMesh(box) {
+  const [sx, sy, sz] = box.size;
+  const mesh = new THREE.Mesh(
+    new THREE.BoxGeometry(sx * 2, sy * 2, sz * 2),
+    new THREE.MeshStandardMaterial({ color: box.color, roughness: 0.9, metalness: 0.02 })
   );
-  registerBody(groundBody, ground, groundCollider, { type: "ground" });
-
-  const wallThickness = 2;
-  const wallHeight = 4;
-  const half = 110;
-  const positions = [
-    { x: half + wallThickness, y: wallHeight / 2, z: 0 },
-    { x: -half - wallThickness, y: wallHeight / 2, z: 0 },
-    { x: 0, y: wallHeight / 2, z: half + wallThickness },
-    { x: 0, y: wallHeight / 2, z: -half - wallThickness },
-  ];
-  positions.forEach((p, idx) => {
-    const sizeX = idx < 2 ? wallThickness : half + wallThickness;
-    const sizeZ = idx < 2 ? half + wallThickness : wallThickness;
-    const wallBody = world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
-    const collider = world.createCollider(
-      RAPIER.ColliderDesc.cuboid(sizeX, wallHeight / 2, sizeZ)
-        .setTranslation(p.x, p.y, p.z)
-        .setFriction(0.9)
-        .setRestitution(0.2),
-      wallBody
-    );
-    registerBody(wallBody, null, collider, { type: "wall" });
+  mesh.position.set(box.position[0], box.position[1], box.position[2]);
+  mesh.rotation.y = box.yaw;
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+// Displaced plane over the same height grid the heightfield collider uses.
+function makeTerrainMesh(patch) {
+  const [cols, rows] = patch.resolution;
+  const geometry = new THREE.PlaneGeometry(patch.size[0], patch.size[1], cols, rows);
+  geometry.rotateX(-Math.PI / 2); // vertex order is now rows from -Z to +Z, like the heights
+  const heights = terrainHeights(patch);
+  const positions = geometry.attributes.position;
+  for (let k = 0; k < positions.count; k++) positions.setY(k, heights[k]);
+  geometry.computeVertexNormals();
+  const mesh = new THREE.Mesh(
+    geometry,
+    new THREE.MeshStandardMaterial({ color: patch.color, roughness: 1.0, metalness: 0.0 })
+  );
+  mesh.position.set(patch.position[0], patch.position[1] + 0.005, patch.position[2]);
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+// Swaps look, spawn area and static colliders. Props are rebuilt separately (spawnProps) since
+// their layout also depends on the seed and on who simulates them.
+function applyLevel(data, name) {
+  level = data;
+  levelName = name;
+
+  const { lighting, fog } = level;
+  renderer.setClearColor(lighting.background, 1);
+  renderer.toneMappingExposure = lighting.exposure;
+  scene.fog = fog ? new THREE.Fog(fog.color, fog.near, fog.far) : null;
+  hemi.color.set(lighting.hemisphere.sky);
+  hemi.groundColor.set(lighting.hemisphere.ground);
+  hemi.intensity = lighting.hemisphere.intensity;
+  sun.color.set(lighting.sun.color);
+  sun.intensity = lighting.sun.intensity;
+  sun.position.set(...lighting.sun.position);
+
+  const { size } = level.ground;
+  ground.geometry.dispose();
+  ground.geometry = new THREE.PlaneGeometry(size, size, 1, 1);
+  groundMat.color.set(level.ground.color);
+  groundMat.roughness = level.ground.roughness;
+  groundMat.metalness = level.ground.metalness;
+  scene.remove(grid);
+  grid.geometry.dispose();
+  grid.material.dispose();
+  grid = makeGrid(size);
+  grid.visible = level.ground.grid;
+  scene.add(grid);
+
+  SAFE_ZONE.center.set(level.safeZone.x, 0, level.safeZone.z);
+  SAFE_ZONE.radius = level.safeZone.radius;
+  SAFE_ZONE.height = level.spawn.height;
+  SAFE_ZONE.yaw = level.spawn.yaw;
+  SAFE_SPAWN_SLOTS.length = 0;
+  level.spawn.slots.forEach(([x, z]) => SAFE_SPAWN_SLOTS.push(new THREE.Vector3(x, 0, z)));
+
+  levelBodies.splice(0).forEach((body) => unregisterBody(body));
+  levelMeshes.splice(0).forEach((mesh) => {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  });
+  createLevelColliders(RAPIER, world, level).forEach(({ body, collider, type, box, terrain }) => {
+    registerBody(body, type === "ground" ? ground : null, collider, { type });
+    levelBodies.push(body);
+    const mesh = terrain ? makeTerrainMesh(terrain) : box?.visible ? makeWallMesh(box) : null;
+    if (mesh) {
+      scene.add(mesh);
+      levelMeshes.push(mesh);
+    }
   });
+  buildRaceTrack();
 }
 
-function spawnProps(count = 18) {
-  const meshes = [];
-  for (let i = 0; i < count; i++) {
-    const dynamic = Math.random() > 0.35;
-    const shape = Math.random() > 0.6 ? "cylinder" : "box";
-    const size = new THREE.Vector3(
-      0.4 + Math.random() * 0.4,
-      0.35 + Math.random() * 0.35,
-      0.4 + Math.random() * 0.4
+// Same points as the convex hull collider of a ramp or wedge.
+function makeHullGeometry(points) {
+  const vertices = [];
+  for (let i = 0; i < points.length; i += 3) vertices.push(new THREE.Vector3(points[i], points[i + 1], points[i + 2]));
+  return new ConvexGeometry(vertices);
+}
+
+function makeHalfPipeGeometry(size) {
+  const { vertices, indices } = halfPipeGeometry(size);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(vertices, 3));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+function makePropMesh(prop) {
+  const [sx, sy, sz] = prop.size;
+  const color = prop.color ? new THREE.Color(prop.color) : new THREE.Color().setHSL(prop.hue, 0.5, 0.5);
+  let mesh;
+  if (prop.shape === "cylinder") {
+    mesh = new THREE.Mesh(
+      new THREE.CylinderGeometry(sx, sx, sy * 2, 14),
+      new THREE.MeshStandardMaterial({ color, roughness: 0.6, metalness: 0.08 })
     );
-    const color = new THREE.Color().setHSL(Math.random(), 0.5, 0.5);
-    let mesh;
-    if (shape === "cylinder") {
-      mesh = new THREE.Mesh(
-        new THREE.CylinderGeometry(size.x, size.x, size.y * 2, 14),
-        new THREE.MeshStandardMaterial({ color, roughness: 0.6, metalness: 0.08 })
-      );
-    } else {
-      mesh = new THREE.Mesh(
-        new THREE.BoxGeometry(size.x * 2, size.y * 2, size.z * 2),
-        new THREE.MeshStandardMaterial({ color, roughness: 0.65, metalness: 0.05 })
-      );
-    }
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-
-    const findPropPosition = () => {
-      let attempt = 0;
-      while (attempt < 8) {
-        const x = (Math.random() * 2 - 1) * 55;
-        const z = (Math.random() * 2 - 1) * 55;
-        const padding = Math.max(size.x, size.z) + 1.0;
-        if (!isInsideSafeZone(x, z, padding)) {
-          return { x, z };
-        }
-        attempt++;
-      }
-      const angle = Math.random() * Math.PI * 2;
-      const r = SAFE_ZONE.radius + 6 + Math.random() * 18;
-      return { x: SAFE_ZONE.center.x + Math.cos(angle) * r, z: SAFE_ZONE.center.z + Math.sin(angle) * r };
-    };
+  } else if (prop.shape === "ramp" || prop.shape === "wedge") {
+    mesh = new THREE.Mesh(
+      makeHullGeometry(prop.shape === "ramp" ? rampPoints(prop.size) : wedgePoints(prop.size)),
+      new THREE.MeshStandardMaterial({ color, roughness: 0.8, metalness: 0.05 })
+    );
+  } else if (prop.shape === "halfpipe") {
+    mesh = new THREE.Mesh(
+      makeHalfPipeGeometry(prop.size),
+      new THREE.MeshStandardMaterial({ color, roughness: 0.75, metalness: 0.05, side: THREE.DoubleSide })
+    );
+  } else {
+    mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(sx * 2, sy * 2, sz * 2),
+      new THREE.MeshStandardMaterial({ color, roughness: 0.65, metalness: 0.05 })
+    );
+  }
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  mesh.position.set(prop.position[0], prop.position[1], prop.position[2]);
+  mesh.rotation.y = prop.yaw || 0;
+  return mesh;
+}
 
-    const { x, z } = findPropPosition();
-    const y = size.y + 0.05;
-    mesh.position.set(x, y, z);
+// `layout` is a list from levelPropLayout() (e.g. the server's); without one the current
+// level's layout is built from worldSeed. With `kinematic`, dynamic props only follow
+// transforms pushed from the network.
+function spawnProps(layout = null, kinematic = false) {
+  const entries = Array.isArray(layout) ? layout : levelPropLayout(level, createRandom(worldSeed));
+  const meshes = [];
+  entries.forEach((prop) => {
+    const mesh = makePropMesh(prop);
     scene.add(mesh);
     meshes.push(mesh);
+    const { body, collider } = createPropBody(RAPIER, world, prop, kinematic);
+    registerBody(body, mesh, collider, { type: prop.dynamic ? "prop-dynamic" : "prop-fixed", dynamic: prop.dynamic, propId: prop.id });
+    props.set(prop.id, { prop, mesh, body, collider, owner: null, ownerAt: 0, streaming: false });
+  });
+  return meshes;
+}
 
-    const rbDesc = dynamic
-      ? RAPIER.RigidBodyDesc.dynamic()
-          .setTranslation(x, y, z)
-          .setLinearDamping(0.9 + Math.random() * 0.4) // higher = slower slide
-          .setAngularDamping(1.0 + Math.random() * 0.6)
-      : RAPIER.RigidBodyDesc.fixed().setTranslation(x, y, z);
-    const rb = world.createRigidBody(rbDesc);
-    if (dynamic && rb.enableCcd) rb.enableCcd(true);
+function clearProps() {
+  for (const entry of props.values()) {
+    unregisterBody(entry.body);
+    scene.remove(entry.mesh);
+    entry.mesh.geometry.dispose();
+    entry.mesh.material.dispose();
+  }
+  props.clear();
+}
 
-    let colliderDesc;
-    if (shape === "cylinder") {
-      colliderDesc = RAPIER.ColliderDesc.cylinder(size.y, size.x);
-    } else {
-      colliderDesc = RAPIER.ColliderDesc.cuboid(size.x, size.y, size.z);
-    }
-    colliderDesc
-      .setFriction(dynamic ? 0.8 : 0.95)
-      .setRestitution(dynamic ? 0.32 : 0.2)
-      .setDensity(dynamic ? 0.6 : 1.0);
-    const collider = world.createCollider(colliderDesc, rb);
-    registerBody(rb, mesh, collider, { type: dynamic ? "prop-dynamic" : "prop-fixed", dynamic });
+// [id, x, y, z, qx, qy, qz, qw] rows from the authoritative server.
+function applyPropStates(rows) {
+  if (!Array.isArray(rows)) return;
+  rows.forEach(([id, x, y, z, qx, qy, qz, qw]) => {
+    const entry = props.get(id);
+    if (!entry || !entry.body.isKinematic()) return;
+    entry.body.setNextKinematicTranslation({ x, y, z });
+    entry.body.setNextKinematicRotation({ x: qx, y: qy, z: qz, w: qw });
+  });
+}
+
+// --- Prop sync (relay mode) ---
+// Every dynamic prop has an owner: the last car that touched it, or nobody (the server keeps
+// its last pose and everyone simulates it). The owner streams the transform while the prop is
+// awake; the other clients switch it to kinematic and follow the snapshots.
+const PROP_SYNC = {
+  sendIntervalMs: 50,    // owner stream rate, same as the relay state rate
+  claimCooldownMs: 400,  // leave a freshly claimed prop alone for a moment to avoid tug-of-war
+};
+let lastPropSend = 0;
+
+function propSyncActive() {
+  return NETWORK.mode === "online" && !NETWORK.authority && NETWORK.socket?.readyState === WebSocket.OPEN;
+}
+
+function setPropOwner(id, owner) {
+  const entry = props.get(id);
+  if (!entry || !entry.prop.dynamic) return;
+  entry.owner = owner || null;
+  entry.ownerAt = performance.now();
+  entry.streaming = entry.owner === NETWORK.id;
+  const kinematic = Boolean(entry.owner) && entry.owner !== NETWORK.id;
+  if (kinematic === entry.body.isKinematic()) return;
+  const type = kinematic ? RAPIER.RigidBodyType.KinematicPositionBased : RAPIER.RigidBodyType.Dynamic;
+  entry.body.setBodyType(type, true);
+}
+
+// Offline (or after a resync) nobody owns anything and every prop is local again.
+function releasePropOwnership() {
+  if (NETWORK.authority) return;
+  for (const id of props.keys()) setPropOwner(id, null);
+}
+
+function claimProp(id) {
+  const entry = props.get(id);
+  if (!entry?.prop.dynamic || entry.owner === NETWORK.id) return;
+  if (entry.owner && performance.now() - entry.ownerAt < PROP_SYNC.claimCooldownMs) return;
+  setPropOwner(id, NETWORK.id);
+}
+
+// Collision hook: our car, or a prop we already own, hitting a dynamic prop makes it ours.
+function claimTouchedProp(c1, c2) {
+  if (!propSyncActive()) return;
+  [[c1, c2], [c2, c1]].forEach(([self, other]) => {
+    const otherMeta = colliderMetadata.get(other.handle);
+    if (otherMeta?.type !== "prop-dynamic") return;
+    const selfMeta = colliderMetadata.get(self.handle);
+    const ours = self.handle === playerPhysics.collider?.handle
+      || (selfMeta?.type === "prop-dynamic" && props.get(selfMeta.propId)?.owner === NETWORK.id);
+    if (ours) claimProp(otherMeta.propId);
+  });
+}
+
+function propRow(entry) {
+  const t = entry.body.translation();
+  const r = entry.body.rotation();
+  return [
+    entry.prop.id,
+    Number(t.x.toFixed(3)), Number(t.y.toFixed(3)), Number(t.z.toFixed(3)),
+    Number(r.x.toFixed(4)), Number(r.y.toFixed(4)), Number(r.z.toFixed(4)), Number(r.w.toFixed(4)),
+  ];
+}
+
+function sendPropStates() {
+  const now = performance.now();
+  if (now - lastPropSend < PROP_SYNC.sendIntervalMs) return;
+  const rows = [];
+  for (const entry of props.values()) {
+    if (entry.owner !== NETWORK.id || !entry.streaming) continue;
+    entry.streaming = !entry.body.isSleeping(); // one last row once it settles
+    rows.push(propRow(entry));
   }
-  return meshes;
+  if (!rows.length) return;
+  lastPropSend = now;
+  if (NETWORK.protocol) {
+    NETWORK.socket.send(encodeProps(rows));
+    return;
+  }
+  NETWORK.socket.send(JSON.stringify({ type: "props", props: rows }));
+}
+
+// Prop poses and owners from a relay-mode hello.
+function applyPropSync(sync) {
+  releasePropOwnership();
+  const owners = new Map(Array.isArray(sync?.owners) ? sync.owners : []);
+  (Array.isArray(sync?.states) ? sync.states : []).forEach(([id, x, y, z, qx, qy, qz, qw]) => {
+    const entry = props.get(id);
+    if (!entry || owners.get(id) === NETWORK.id) return;
+    entry.body.setTranslation({ x, y, z }, true);
+    entry.body.setRotation({ x: qx, y: qy, z: qz, w: qw }, true);
+    entry.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    entry.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+    previousTransforms.delete(entry.body.handle);
+  });
+  owners.forEach((owner, id) => setPropOwner(id, owner));
 }
 
 function makeNoiseNormalTexture(size = 128, spread = 6) {
@@ -612,18 +918,24 @@ function categorizeWheels(root) {
   const wheels = wheelNodes.map((mesh) => ({
     mesh,
     position: mesh.getWorldPosition(temp.clone()),
+    center: root.worldToLocal(new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3())),
   }));
 
   const sorted = wheels.sort((a, b) => b.position.z - a.position.z);
   const front = new Set(sorted.slice(0, 2).map(({ mesh }) => mesh));
+  const midZ = sorted.reduce((sum, w) => sum + w.center.z, 0) / sorted.length;
 
-  const wheelRig = sorted.map(({ mesh }) => {
+  const wheelRig = sorted.map(({ mesh, center }) => {
     const isFront = front.has(mesh);
     const parent = mesh.parent || mesh;
     const parentName = (parent.name || "").toLowerCase();
     const pivot = isFront && parent !== root && (parentName.includes("pivot") || parentName.includes("steer"))
       ? parent
       : mesh;
+    // Car-space up, expressed in the wheel's parent space (GLB nodes can be rotated and scaled).
+    const space = mesh.parent || root;
+    const origin = space.worldToLocal(root.localToWorld(new THREE.Vector3()));
+    const travelAxis = space.worldToLocal(root.localToWorld(new THREE.Vector3(0, 1, 0))).sub(origin);
     return {
       mesh,
       pivot,
@@ -631,6 +943,10 @@ function categorizeWheels(root) {
       baseQuaternion: mesh.quaternion.clone(),
       pivotBaseQuaternion: pivot.quaternion.clone(),
       angle: 0,
+      center,                                            // car space, for the raycast vehicle
+      corner: (center.z > midZ ? 0 : 2) + (center.x > 0 ? 1 : 0), // front -x, front +x, rear -x, rear +x
+      basePosition: mesh.position.clone(),
+      travelAxis,
     };
   });
 
@@ -889,8 +1205,8 @@ async function makeCar(isPlayer = true, withPhysics = true, spawnOverride = null
           .setTranslation(startPos.x, startPos.y, startPos.z)
           .setRotation({ x: startRot.x, y: startRot.y, z: startRot.z, w: startRot.w })
           .setCanSleep(false)
-          .setLinearDamping(1.4) // lower for more glide (also faster fall), higher for tighter stop
-          .setAngularDamping(3.2) // lower for more spin, higher for stability
+          .setLinearDamping(DRIVE.linearDamping)
+          .setAngularDamping(DRIVE.angularDamping)
       : RAPIER.RigidBodyDesc.kinematicPositionBased()
           .setTranslation(startPos.x, startPos.y, startPos.z)
           .setRotation({ x: startRot.x, y: startRot.y, z: startRot.z, w: startRot.w })
@@ -900,14 +1216,26 @@ async function makeCar(isPlayer = true, withPhysics = true, spawnOverride = null
     if (rb.setGravityScale && isPlayer) {
       rb.setGravityScale(1.2, true); // >1 = stronger pull-down for snappier drops
     }
+    const colliderOffset = {
+      x: center.x - car.position.x,
+      y: center.y - car.position.y - size.y * 0.08,
+      z: center.z - car.position.z,
+    };
     const colliderDesc = RAPIER.ColliderDesc.cuboid(halfX, halfY, halfZ)
-      .setTranslation(center.x - car.position.x, center.y - car.position.y - size.y * 0.08, center.z - car.position.z)
+      .setTranslation(colliderOffset.x, colliderOffset.y, colliderOffset.z)
       .setFriction(1.2) // more friction = grippier tabletop feel
       .setRestitution(0.26) // less bounce = calmer toy
-      .setDensity(0.72);
+      .setDensity(0.72)
+      .setActiveHooks(RAPIER.ActiveHooks.FILTER_CONTACT_PAIRS); // respawn pass-through
+
     const collider = world.createCollider(colliderDesc, rb);
     registerBody(rb, car, collider, { type: isPlayer ? "car" : "car-remote", dynamic: true });
-    car.userData.physics = { body: rb, collider };
+    car.userData.physics = {
+      body: rb,
+      collider,
+      wheelAnchors: carWheelAnchors({ x: halfX, y: halfY, z: halfZ }, colliderOffset),
+      wheelReach: halfY + DRIVE.groundProbe,
+    };
     if (isPlayer) {
       playerPhysics.body = rb;
       playerPhysics.collider = collider;
@@ -927,6 +1255,14 @@ async function setupPlayerCar() {
 
 // --- Multiplayer (online/offline aware) ---
 const remotePlayers = new Map();
+const playerNames = new Map(); // id -> nickname from the server
+
+const NAME_TAG = {
+  height: 2.05,     // above the car origin
+  width: 2.6,       // world units
+  fadeStart: 22,    // fully opaque closer than this
+  fadeEnd: 60,      // invisible beyond this
+};
 
 const PLAYER_COLORS = [
   "#ff6b35", // orange
@@ -974,6 +1310,78 @@ function ensureLocalColor() {
   car.userData.assignedColorId = colorId;
 }
 
+function displayName(id) {
+  if (id === NETWORK.id) return NETWORK.nickname || "Вы";
+  return playerNames.get(id) || `Игрок ${String(id).slice(0, 4)}`;
+}
+
+function makeNameTagTexture(name, color) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 512;
+  canvas.height = 96;
+  const ctx = canvas.getContext("2d");
+  ctx.font = "600 44px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+  const textWidth = Math.min(ctx.measureText(name).width, canvas.width - 110);
+  const boxWidth = textWidth + 96;
+  const x = (canvas.width - boxWidth) / 2;
+  ctx.fillStyle = "rgba(8, 12, 18, 0.7)";
+  ctx.beginPath();
+  ctx.roundRect(x, 10, boxWidth, 76, 38);
+  ctx.fill();
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(x + 40, 48, 12, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#ffffff";
+  ctx.textBaseline = "middle";
+  ctx.fillText(name, x + 66, 50, textWidth);
+
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.minFilter = THREE.LinearFilter;
+  return tex;
+}
+
+function disposeNameTag(mesh) {
+  const tag = mesh?.userData.nameTag;
+  if (!tag) return;
+  mesh.remove(tag);
+  tag.material.map?.dispose();
+  tag.material.dispose();
+  mesh.userData.nameTag = null;
+}
+
+function attachNameTag(mesh, name) {
+  disposeNameTag(mesh);
+  const material = new THREE.SpriteMaterial({
+    map: makeNameTagTexture(name, mesh.userData.playerColor || "#ffffff"),
+    transparent: true,
+    depthWrite: false,
+  });
+  const tag = new THREE.Sprite(material);
+  tag.scale.set(NAME_TAG.width, NAME_TAG.width * (96 / 512), 1);
+  tag.position.set(0, NAME_TAG.height, 0);
+  tag.renderOrder = 10;
+  mesh.add(tag);
+  mesh.userData.nameTag = tag;
+}
+
+function updateNameTag(mesh) {
+  const tag = mesh.userData.nameTag;
+  if (!tag) return;
+  const dist = camera.position.distanceTo(mesh.position);
+  const fade = 1 - THREE.MathUtils.smoothstep(dist, NAME_TAG.fadeStart, NAME_TAG.fadeEnd);
+  tag.material.opacity = fade;
+  tag.visible = fade > 0.01;
+}
+
+function setPlayerName(id, name) {
+  if (typeof name === "string" && name) playerNames.set(id, name);
+  else playerNames.delete(id);
+  const mesh = remotePlayers.get(id)?.mesh;
+  if (mesh) attachNameTag(mesh, displayName(id));
+}
+
 async function spawnRemotePlayer(id, snapshot) {
   if (remotePlayers.has(id)) return;
   const placeholder = { mesh: null, target: null, loading: true };
@@ -984,6 +1392,7 @@ async function spawnRemotePlayer(id, snapshot) {
     : getSafeSpawnTransform(id);
   const ghost = await makeCar(false, true, spawnTransform);
   colorizeCar(ghost, id);
+  attachNameTag(ghost, displayName(id));
   ghost.userData.isRemote = true;
   ghost.userData.applyLights?.(false);
   scene.add(ghost);
@@ -996,6 +1405,8 @@ function removeRemotePlayer(id) {
   const player = remotePlayers.get(id);
   if (!player) return;
   if (player.mesh) {
+    disposeNameTag(player.mesh);
+    unregisterBody(player.mesh.userData.physics?.body);
     scene.remove(player.mesh);
     player.mesh.traverse((child) => {
       if (child.geometry) child.geometry.dispose?.();
@@ -1017,12 +1428,37 @@ function applyRemoteState(id, state) {
     received: performance.now()
   };
   player.target = target;
+  if (player.mesh && typeof state.l === "boolean") player.mesh.userData.lightsOn = state.l;
+}
+
+// Cars outside the server's interest radius are hidden and taken out of the physics world;
+// when they come back they jump straight to their new pose instead of sliding across the map.
+function setRemoteCulled(player, culled) {
+  if (!player.mesh || Boolean(player.culled) === culled) return;
+  player.culled = culled;
+  player.mesh.visible = !culled;
+  const rb = player.mesh.userData.physics?.body;
+  rb?.setEnabled?.(!culled);
+  if (culled || !player.target) return;
+  snapRemotePlayer(player, player.target.position, player.target.yaw);
+}
+
+function snapRemotePlayer(player, position, yaw) {
+  const rb = player.mesh.userData.physics?.body;
+  player.mesh.position.copy(position);
+  player.mesh.rotation.set(0, yaw, 0);
+  if (rb) {
+    tempQuat.setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+    rb.setTranslation({ x: position.x, y: position.y, z: position.z }, true);
+    rb.setRotation({ x: tempQuat.x, y: tempQuat.y, z: tempQuat.z, w: tempQuat.w }, true);
+    previousTransforms.delete(rb.handle);
+  }
 }
 
 function updateRemotePlayers(dt) {
   const follow = 1 - Math.pow(0.0015, dt);
   for (const player of remotePlayers.values()) {
-    if (!player.mesh || !player.target) continue;
+    if (!player.mesh || !player.target || player.culled) continue;
     const rb = player.mesh.userData.physics?.body;
     const currentPos = rb ? rb.translation() : player.mesh.position;
 
@@ -1057,6 +1493,7 @@ function updateRemotePlayers(dt) {
     }
     player.mesh.userData.brakeActive = Boolean(player.target.brake);
     player.mesh.userData.applyLights?.(player.mesh.userData.brakeActive);
+    updateNameTag(player.mesh);
   }
 }
 
@@ -1084,6 +1521,14 @@ async function checkServerAvailability(host, timeoutMs = 1800) {
   }
 }
 
+function describeOnline(host) {
+  return NETWORK.room ? `Online: ${host} · ${NETWORK.room}` : `Online: ${host}`;
+}
+
+function clearRemotePlayers() {
+  for (const id of Array.from(remotePlayers.keys())) removeRemotePlayer(id);
+}
+
 function cleanSocket() {
   if (NETWORK.socket) {
     NETWORK.socket.close();
@@ -1092,46 +1537,229 @@ function cleanSocket() {
 }
 
 function scheduleReconnect() {
-  if (NETWORK.reconnectTimer) return;
+  if (NETWORK.reconnectTimer || NETWORK.halted) return;
   NETWORK.reconnectTimer = setTimeout(() => {
     NETWORK.reconnectTimer = null;
     initNetwork();
-  }, 2500);
+  }, NETWORK.resumeTimer ? 1000 : 2500); // retry sooner while the server still holds our slot
+}
+
+// Closes the server uses to turn us away: reconnecting on a timer would only repeat them.
+function haltNetwork(reason) {
+  NETWORK.halted = true;
+  clearTimeout(NETWORK.reconnectTimer);
+  NETWORK.reconnectTimer = null;
+  setNetStatus(`Offline режим (${reason}) · нажмите, чтобы переподключиться`, false);
+}
+
+function resumeNetwork() {
+  if (NETWORK.roomFull) {
+    const room = window.prompt("Комната заполнена. Другая комната (пусто — общая):", NETWORK.room);
+    if (room === null) return;
+    NETWORK.room = room.trim();
+    const url = new URL(location.href);
+    if (NETWORK.room) url.searchParams.set("room", NETWORK.room);
+    else url.searchParams.delete("room");
+    history.replaceState(null, "", url);
+  }
+  NETWORK.halted = false;
+  NETWORK.roomFull = false;
+  initNetwork();
+}
+
+// While a resume is possible, remote cars stay frozen instead of vanishing and respawning.
+function holdForResume(graceMs) {
+  clearTimeout(NETWORK.resumeTimer);
+  NETWORK.resumeTimer = setTimeout(dropResume, graceMs);
+}
+
+function dropResume() {
+  clearTimeout(NETWORK.resumeTimer);
+  NETWORK.resumeTimer = null;
+  NETWORK.resumeToken = null;
+  NETWORK.resumeGraceMs = 0;
+  if (NETWORK.mode === "online") return;
+  clearRemotePlayers();
+  setAuthority(false);
+}
+
+function sendInput() {
+  const now = performance.now();
+  const last = NETWORK.lastInputSent;
+  const changed = !last || last.x !== playerInput.x || last.y !== playerInput.y || last.h !== playerInput.h || last.b !== playerInput.b;
+  const since = now - NETWORK.lastSend;
+  if (since < AUTHORITY.inputMinIntervalMs) return;
+  if (!changed && since < AUTHORITY.inputKeepaliveMs) return;
+  NETWORK.lastSend = now;
+  NETWORK.lastInputSent = { ...playerInput };
+  if (NETWORK.protocol) {
+    NETWORK.socket.send(encodeInput(playerInput));
+    return;
+  }
+  NETWORK.socket.send(JSON.stringify({
+    type: "input",
+    input: { x: Number(playerInput.x.toFixed(3)), y: Number(playerInput.y.toFixed(3)), h: playerInput.h, b: playerInput.b }
+  }));
 }
 
 function sendStateSnapshot() {
   if (!NETWORK.socket || NETWORK.socket.readyState !== WebSocket.OPEN) return;
   if (!car) return;
+  if (NETWORK.authority) {
+    sendInput();
+    return;
+  }
   const now = performance.now();
   if (now - NETWORK.lastSend < 50) return; // ~20 Hz
   NETWORK.lastSend = now;
   const yaw = car.rotation.y;
   const speed = car.userData.lastSpeed || 0;
   const steerVisual = -clamp(inputX, -1, 1) * (Math.PI / 7);
-  const payload = {
-    type: "state",
-    state: {
-      p: [Number(car.position.x.toFixed(3)), Number(car.position.y.toFixed(3)), Number(car.position.z.toFixed(3))],
-      y: Number(yaw.toFixed(4)),
-      s: Number(speed.toFixed(3)),
-      st: Number(steerVisual.toFixed(4)),
-      b: Boolean(car.userData.brakeActive)
-    }
+  const state = {
+    p: [Number(car.position.x.toFixed(3)), Number(car.position.y.toFixed(3)), Number(car.position.z.toFixed(3))],
+    y: Number(yaw.toFixed(4)),
+    s: Number(speed.toFixed(3)),
+    st: Number(steerVisual.toFixed(4)),
+    b: Boolean(car.userData.brakeActive),
+    l: car.userData.lightsOn !== false
   };
-  NETWORK.socket.send(JSON.stringify(payload));
+  if (NETWORK.protocol) {
+    NETWORK.socket.send(encodeState(state));
+    return;
+  }
+  NETWORK.socket.send(JSON.stringify({ type: "state", state }));
+}
+
+// Pull the predicted local car toward the server's pose: hard snap on big errors, soft blend otherwise.
+function reconcilePlayer(state) {
+  const rb = playerPhysics.body;
+  if (!rb || !Array.isArray(state?.p)) return;
+  const t = rb.translation();
+  const error = Math.hypot(state.p[0] - t.x, state.p[1] - t.y, state.p[2] - t.z);
+  const q = Array.isArray(state.q) ? state.q : null;
+  const v = Array.isArray(state.v) ? state.v : null;
+
+  if (error > AUTHORITY.snapDistance) {
+    rb.setTranslation({ x: state.p[0], y: state.p[1], z: state.p[2] }, true);
+    if (q) rb.setRotation({ x: q[0], y: q[1], z: q[2], w: q[3] }, true);
+    if (v) rb.setLinvel({ x: v[0], y: v[1], z: v[2] }, true);
+    previousTransforms.delete(rb.handle);
+    return;
+  }
+
+  const k = AUTHORITY.blend;
+  rb.setTranslation({
+    x: t.x + (state.p[0] - t.x) * k,
+    y: t.y + (state.p[1] - t.y) * k,
+    z: t.z + (state.p[2] - t.z) * k,
+  }, true);
+  if (q) {
+    const r = rb.rotation();
+    tempQuat.set(r.x, r.y, r.z, r.w).slerp(new THREE.Quaternion(q[0], q[1], q[2], q[3]), k);
+    rb.setRotation({ x: tempQuat.x, y: tempQuat.y, z: tempQuat.z, w: tempQuat.w }, true);
+  }
+  if (v) {
+    const lv = rb.linvel();
+    rb.setLinvel({ x: lv.x + (v[0] - lv.x) * k, y: lv.y + (v[1] - lv.y) * k, z: lv.z + (v[2] - lv.z) * k }, true);
+  }
+}
+
+function teleportPlayer(position, yaw = 0) {
+  const rb = playerPhysics.body;
+  if (!rb) return;
+  tempQuat.setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+  rb.setTranslation({ x: position.x, y: position.y, z: position.z }, true);
+  rb.setRotation({ x: tempQuat.x, y: tempQuat.y, z: tempQuat.z, w: tempQuat.w }, true);
+  rb.setLinvel({ x: 0, y: 0, z: 0 }, true);
+  rb.setAngvel({ x: 0, y: 0, z: 0 }, true);
+  previousTransforms.delete(rb.handle);
+}
+
+function setAuthority(enabled, world = null) {
+  if (!enabled && !NETWORK.authority) return;
+  NETWORK.authority = enabled;
+  NETWORK.lastInputSent = null;
+  clearProps();
+  if (enabled) {
+    spawnProps(world?.props || [], true);
+    applyPropStates(world?.propStates);
+  } else {
+    spawnProps();
+  }
+}
+
+// Binary frames are translated into the same shapes the JSON messages use.
+function decodeBinaryMessage(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 2) return null;
+  const type = view.getUint8(0);
+  if (type === MSG.SNAPSHOT) {
+    const snapshot = NETWORK.snapshots.decode(view);
+    if (!snapshot) return null;
+    NETWORK.socket?.send(encodeAck(snapshot.seq));
+    const players = [];
+    for (const [index, state] of snapshot.players.entries()) {
+      const id = NETWORK.indexToId.get(index);
+      if (id) players.push({ id, state });
+    }
+    return { type: "snapshot", players, props: snapshot.props };
+  }
+  return null;
 }
 
 function handleMessage(evt) {
   let data;
-  try {
-    data = JSON.parse(evt.data);
-  } catch (err) {
-    return;
+  if (evt.data instanceof ArrayBuffer) {
+    data = decodeBinaryMessage(evt.data);
+    if (!data) return;
+  } else {
+    try {
+      data = JSON.parse(evt.data);
+    } catch (err) {
+      return;
+    }
   }
 
   if (data.type === "hello") {
+    if (!data.resumed || (data.room && data.room !== NETWORK.room)) clearRemotePlayers();
+    clearTimeout(NETWORK.resumeTimer);
+    NETWORK.resumeTimer = null;
+    NETWORK.resumeToken = data.resume || null;
+    NETWORK.resumeGraceMs = data.resumeGraceMs || 0;
     NETWORK.id = data.id;
-    setNetStatus(`Online: ${resolveServerHost()}`, true);
+    NETWORK.room = data.room || NETWORK.room;
+    NETWORK.protocol = data.protocol || 0;
+    NETWORK.snapshots.reset();
+    NETWORK.indexToId.clear();
+    NETWORK.indexToId.set(data.index, data.id);
+    if (typeof data.name === "string") NETWORK.nickname = data.name;
+    data.players?.forEach((p) => {
+      NETWORK.indexToId.set(p.index, p.id);
+      setPlayerName(p.id, p.name);
+    });
+    const seed = parseSeed(data.seed);
+    const seedChanged = seed !== null && seed !== worldSeed;
+    if (seedChanged) worldSeed = seed;
+    const levelChanged = Boolean(data.level?.data) && data.level.name !== levelName;
+    if (levelChanged) {
+      applyLevel(normalizeLevel(data.level.data), data.level.name);
+      if (!data.resumed) {
+        const spawn = getSafeSpawnTransform(data.id);
+        teleportPlayer(spawn.position, spawn.yaw);
+      }
+    }
+    if ((seedChanged || levelChanged) && !data.authority && !NETWORK.authority) {
+      clearProps();
+      spawnProps();
+    }
+    setAuthority(Boolean(data.authority), data.world);
+    if (!data.authority) applyPropSync(data.props);
+    if (data.resumed && !data.authority && Array.isArray(data.state?.p)) {
+      // Relay mode: carry on from the last state the others saw rather than jumping.
+      const [x, y, z] = data.state.p;
+      teleportPlayer(new THREE.Vector3(x, y, z), data.state.y || 0);
+    }
+    setNetStatus(describeOnline(resolveServerHost()), true);
     ensureLocalColor();
     if (Array.isArray(data.players)) {
       data.players.forEach((p) => {
@@ -1139,14 +1767,60 @@ function handleMessage(evt) {
         else applyRemoteState(p.id, p.state);
       });
     }
+    if (data.race?.state === "running" && race.state === "idle") showRaceBanner("Идёт гонка — ждите следующую", { ms: 2500 });
     sendStateSnapshot();
-  } else if (data.type === "state" && data.id && data.id !== NETWORK.id) {
-    if (!remotePlayers.has(data.id)) spawnRemotePlayer(data.id, data.state).catch((err) => console.warn("Remote spawn failed", err));
-    else applyRemoteState(data.id, data.state);
+  } else if (data.type === "snapshot" && Array.isArray(data.players)) {
+    // Snapshots list every car we are meant to see; the rest are out of range for now.
+    const visible = new Set();
+    data.players.forEach((p) => {
+      visible.add(p.id);
+      if (p.id === NETWORK.id) reconcilePlayer(p.state);
+      else if (!remotePlayers.has(p.id)) spawnRemotePlayer(p.id, p.state).catch((err) => console.warn("Remote spawn failed", err));
+      else applyRemoteState(p.id, p.state);
+    });
+    for (const [id, player] of remotePlayers.entries()) setRemoteCulled(player, !visible.has(id));
+    applyPropStates(data.props);
   } else if (data.type === "player-left" && data.id) {
+    for (const [index, id] of NETWORK.indexToId.entries()) {
+      if (id === data.id) NETWORK.indexToId.delete(index);
+    }
     removeRemotePlayer(data.id);
+    playerNames.delete(data.id);
+  } else if (data.type === "player-updated" && data.id) {
+    if (data.id === NETWORK.id) NETWORK.nickname = data.name || NETWORK.nickname;
+    else setPlayerName(data.id, data.name);
   } else if (data.type === "player-joined" && data.id && data.id !== NETWORK.id) {
+    if (typeof data.index === "number") NETWORK.indexToId.set(data.index, data.id);
+    setPlayerName(data.id, data.name);
     if (!remotePlayers.has(data.id)) spawnRemotePlayer(data.id, buildSafeSpawnState(data.id)).catch((err) => console.warn("Remote spawn failed", err));
+  } else if (data.type === "chat" && data.id && typeof data.text === "string") {
+    addChatLine(data.id, data.text);
+  } else if (data.type === "emote" && data.id && data.id !== NETWORK.id) {
+    showEmoteBubble(data.id, data.emote);
+  } else if (data.type === "race-countdown") {
+    const slot = data.grid?.[NETWORK.id];
+    if (typeof slot === "number") startRaceCountdown(Number(data.startsIn) || RACE.countdownMs, slot, true, Number(data.laps) || level.track?.laps);
+    else showRaceBanner("Гонка началась без вас", { ms: 2500 });
+  } else if (data.type === "race-finish" && data.id) {
+    if (data.id === NETWORK.id) showRaceBanner(`Финиш! ${data.place} место`, { ms: 3000 });
+    else showRaceBanner(`${data.name || displayName(data.id)} финишировал (${data.place})`, { ms: 2000 });
+  } else if (data.type === "race-results" && Array.isArray(data.results)) {
+    showRaceResults(data.results, Array.isArray(data.dnf) ? data.dnf : []);
+  } else if (data.type === "prop-owner" && typeof data.id === "number") {
+    if (!NETWORK.authority) setPropOwner(data.id, data.owner);
+  } else if (data.type === "horn" && data.id && data.id !== NETWORK.id) {
+    const mesh = remotePlayers.get(data.id)?.mesh;
+    if (mesh && !remotePlayers.get(data.id).culled) sound.horn(mesh.position);
+  } else if (data.type === "pong" && Array.isArray(data.players)) {
+    onPong(data);
+  } else if (data.type === "respawn" && data.id && Array.isArray(data.p)) {
+    onRespawn(data.id, new THREE.Vector3(...data.p.map((v) => Number(v) || 0)), Number(data.y) || 0);
+  } else if (data.type === "correction" && Array.isArray(data.state?.p)) {
+    console.warn("Server corrected position:", data.reason);
+    const [x, y, z] = data.state.p;
+    teleportPlayer(new THREE.Vector3(x, y, z), data.state.y || 0);
+  } else if (data.type === "error" && data.code === "room-full") {
+    setNetStatus(`Комната ${data.room} заполнена (${data.maxPlayers})`, false);
   }
 }
 
@@ -1162,19 +1836,48 @@ async function initNetwork() {
   }
 
   const protocol = host.includes("localhost") || host.includes("127.0.0.1") ? "ws" : "wss";
-  const ws = new WebSocket(`${protocol}://${host}/ws`);
+  const query = new URLSearchParams({ proto: String(PROTOCOL_VERSION) });
+  if (NETWORK.room) query.set("room", NETWORK.room);
+  if (NETWORK.nickname) query.set("name", NETWORK.nickname);
+  if (NETWORK.resumeToken) query.set("resume", NETWORK.resumeToken);
+  if (SEED_PARAM) query.set("seed", SEED_PARAM);
+  if (LEVEL_PARAM) query.set("level", LEVEL_PARAM);
+  const ws = new WebSocket(`${protocol}://${host}/ws?${query}`);
+  ws.binaryType = "arraybuffer";
   ws.addEventListener("open", () => {
     NETWORK.socket = ws;
     NETWORK.mode = "online";
     NETWORK.lastSend = 0;
-    setNetStatus(`Online: ${host}`, true);
+    setNetStatus(describeOnline(host), true);
     sendStateSnapshot();
   });
   ws.addEventListener("message", handleMessage);
-  ws.addEventListener("close", () => {
+  ws.addEventListener("close", (evt) => {
+    if (NETWORK.socket && NETWORK.socket !== ws) return; // replaced by a newer connection
     NETWORK.mode = "offline";
-    setNetStatus("Offline режим (нет соединения)", false);
     NETWORK.socket = null;
+    NETWORK.protocol = 0;
+    resetNetStats();
+    if (evt.code === 4003) {
+      // Our identity was resumed by another tab/connection; start over as a new player.
+      NETWORK.resumeToken = null;
+      setNetStatus("Offline режим (подключение перехвачено)", false);
+    } else if (evt.code === 4002 || evt.code === 1008 || evt.code === 1009) {
+      // Kick, rate limit, per-IP cap or oversized frame.
+      haltNetwork(`отключён сервером: ${evt.reason || evt.code}`);
+    } else if (evt.code === 4001) {
+      NETWORK.roomFull = true;
+      haltNetwork(`комната ${NETWORK.room || "lobby"} заполнена`);
+    } else {
+      setNetStatus("Offline режим (нет соединения)", false);
+    }
+    releasePropOwnership();
+    const kicked = [1008, 1009, 4001, 4002, 4003].includes(evt.code);
+    if (NETWORK.resumeToken && !kicked) {
+      holdForResume(NETWORK.resumeGraceMs);
+    } else {
+      dropResume();
+    }
     scheduleReconnect();
   });
   ws.addEventListener("error", () => {
@@ -1182,135 +1885,1471 @@ async function initNetwork() {
   });
 }
 
-// --- Input: single joystick + keyboard fallback ---
-const joy = document.getElementById("joy");
-const nub = document.getElementById("joyNub");
-const isCoarsePointer = window.matchMedia("(pointer: coarse)").matches;
-if (!isCoarsePointer) {
-  joy.style.display = "none";
+// --- Nickname (asked once, remembered in localStorage) ---
+const NICKNAME_KEY = "minicar.nickname";
+const nickPrompt = document.getElementById("nickPrompt");
+const nickForm = document.getElementById("nickForm");
+const nickInput = document.getElementById("nickInput");
+nickInput.maxLength = NICKNAME_MAX_LENGTH;
+
+function loadNickname() {
+  const saved = loadPref(NICKNAME_KEY, "");
+  return typeof saved === "string" || typeof saved === "number" ? String(saved) : ""; // old raw "123" parses as a number
 }
 
-let joyActive = false;
-let joyPointerId = null;
-let joyX = 0;  // -1..1
-let joyY = 0;  // -1..1
+function saveNickname(name) {
+  savePref(NICKNAME_KEY, name);
+}
 
-function setNub(dx, dy) {
-  nub.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+function cleanNickname(raw) {
+  return String(raw || "").replace(/[<>]/g, "").replace(/\s+/g, " ").trim().slice(0, NICKNAME_MAX_LENGTH);
 }
 
-function handleJoyEvent(e) {
-  e.preventDefault();
-  const rect = joy.getBoundingClientRect();
-  const cx = rect.left + rect.width / 2;
-  const cy = rect.top + rect.height / 2;
-  const radius = rect.width * 0.36; // nub travel
+function applyNickname(name) {
+  NETWORK.nickname = name;
+  saveNickname(name);
+  if (NETWORK.socket?.readyState === WebSocket.OPEN) {
+    NETWORK.socket.send(JSON.stringify({ type: "nickname", name }));
+  }
+}
 
-  const px = e.clientX;
-  const py = e.clientY;
+// Resolves once the player has a nickname; shows the prompt only if none is stored.
+function askNickname(force = false) {
+  const stored = cleanNickname(loadNickname());
+  if (stored && !force) {
+    NETWORK.nickname = stored;
+    return Promise.resolve(stored);
+  }
+  nickInput.value = stored;
+  nickPrompt.hidden = false;
+  keys.clear();
+  setTimeout(() => nickInput.focus(), 0);
+  return new Promise((resolve) => {
+    nickForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const name = cleanNickname(nickInput.value);
+      nickPrompt.hidden = true;
+      nickInput.blur();
+      applyNickname(name);
+      resolve(name);
+    }, { once: true });
+  });
+}
 
-  let dx = px - cx;
-  let dy = py - cy;
+netStatusEl.addEventListener("click", () => {
+  if (NETWORK.halted) resumeNetwork();
+  else if (nickPrompt.hidden) askNickname(true);
+});
 
-  const len = Math.hypot(dx, dy);
-  if (len > radius) {
-    dx = (dx / len) * radius;
-    dy = (dy / len) * radius;
-  }
+// --- Chat + quick emotes ---
+const chatEl = document.getElementById("chat");
+const chatLog = document.getElementById("chatLog");
+const chatForm = document.getElementById("chatForm");
+const chatInput = document.getElementById("chatInput");
+const chatToggle = document.getElementById("chatToggle");
+const emoteToggle = document.getElementById("emoteToggle");
+const emoteWheel = document.getElementById("emoteWheel");
+const bubblesEl = document.getElementById("bubbles");
+
+const CHAT = {
+  maxLines: 8,
+  fadeAfterMs: 12000,
+  bubbleMs: 2600,
+  bubbleHeight: 2.3, // world units above the car origin
+};
 
-  setNub(dx, dy);
+const EMOTE_LABELS = {
+  hi: { icon: "👋", text: "Привет!" },
+  gg: { icon: "🏁", text: "GG" },
+  go: { icon: "🚀", text: "Погнали!" },
+  wait: { icon: "✋", text: "Подожди" },
+  sorry: { icon: "🙏", text: "Сорри" },
+  lol: { icon: "😂", text: "Ха-ха" },
+  wow: { icon: "😮", text: "Вау" },
+  angry: { icon: "😠", text: "Эй!" },
+};
 
-  // Normalize to -1..1. Up on screen = forward throttle.
-  joyX = dx / radius;
-  joyY = -dy / radius;
+const bubbles = new Map(); // player id -> { el, until }
+chatInput.maxLength = CHAT_MAX_LENGTH;
 
-  // Deadzone (so it doesn't drift)
-  const dz = 0.08;
-  if (Math.abs(joyX) < dz) joyX = 0;
-  if (Math.abs(joyY) < dz) joyY = 0;
+function isTypingTarget(target) {
+  return target?.tagName === "INPUT" || target?.isContentEditable;
 }
 
-joy.addEventListener("pointerdown", (e) => {
-  joyActive = true;
-  joyPointerId = e.pointerId;
-  joy.setPointerCapture(joyPointerId);
-  handleJoyEvent(e);
-}, { passive: false });
+// `html` arrives HTML-escaped from the server.
+function addChatLine(id, html) {
+  const line = document.createElement("div");
+  line.className = "chat-line";
+  const name = document.createElement("span");
+  name.className = "chat-name";
+  name.style.color = PLAYER_COLORS[colorIndexFromId(id)];
+  name.textContent = id === NETWORK.id ? "Вы" : displayName(id);
+  const text = document.createElement("span");
+  text.innerHTML = html;
+  line.append(name, text);
+  chatLog.appendChild(line);
+  while (chatLog.children.length > CHAT.maxLines) chatLog.firstElementChild.remove();
+  setTimeout(() => line.classList.add("faded"), CHAT.fadeAfterMs);
+}
 
-joy.addEventListener("pointermove", (e) => {
-  if (!joyActive || e.pointerId !== joyPointerId) return;
-  handleJoyEvent(e);
-}, { passive: false });
+function openChat() {
+  if (NETWORK.mode !== "online") return;
+  chatEl.classList.add("open");
+  chatToggle.classList.add("active");
+  keys.clear();
+  chatInput.focus();
+}
 
-function releaseJoy() {
-  joyActive = false;
-  joyPointerId = null;
-  joyX = 0;
-  joyY = 0;
-  setNub(0, 0);
+function closeChat() {
+  chatEl.classList.remove("open");
+  chatToggle.classList.remove("active");
+  chatInput.blur();
 }
 
-joy.addEventListener("pointerup", (e) => {
-  if (e.pointerId !== joyPointerId) return;
-  releaseJoy();
-}, { passive: false });
+function sendChat(text) {
+  const trimmed = text.trim().slice(0, CHAT_MAX_LENGTH);
+  if (!trimmed || !NETWORK.socket || NETWORK.socket.readyState !== WebSocket.OPEN) return;
+  NETWORK.socket.send(JSON.stringify({ type: "chat", text: trimmed }));
+}
 
-joy.addEventListener("pointercancel", releaseJoy, { passive: false });
+function meshForPlayer(id) {
+  if (!id || id === NETWORK.id || id === "local") return car;
+  return remotePlayers.get(id)?.mesh || null;
+}
 
-// Keyboard fallback (PC)
-const keys = new Set();
-window.addEventListener("keydown", (e) => { keys.add(e.code); });
-window.addEventListener("keyup", (e) => { keys.delete(e.code); });
+function showEmoteBubble(id, key) {
+  const emote = EMOTE_LABELS[key];
+  if (!emote) return;
+  let bubble = bubbles.get(id);
+  if (!bubble) {
+    const el = document.createElement("div");
+    el.className = "bubble";
+    bubblesEl.appendChild(el);
+    bubble = { el, until: 0 };
+    bubbles.set(id, bubble);
+  }
+  bubble.el.textContent = `${emote.icon} ${emote.text}`;
+  bubble.until = performance.now() + CHAT.bubbleMs;
+}
 
+function sendEmote(key) {
+  if (!EMOTES.includes(key)) return;
+  showEmoteBubble(NETWORK.id || "local", key);
+  if (NETWORK.socket?.readyState === WebSocket.OPEN) {
+    NETWORK.socket.send(JSON.stringify({ type: "emote", emote: key }));
+  }
+}
+
+const bubbleAnchor = new THREE.Vector3();
+function updateBubbles() {
+  const now = performance.now();
+  const halfW = window.innerWidth / 2;
+  const halfH = window.innerHeight / 2;
+  for (const [id, bubble] of bubbles.entries()) {
+    const mesh = meshForPlayer(id);
+    if (!mesh || now > bubble.until) {
+      bubble.el.remove();
+      bubbles.delete(id);
+      continue;
+    }
+    bubbleAnchor.copy(mesh.position);
+    bubbleAnchor.y += CHAT.bubbleHeight;
+    bubbleAnchor.project(camera);
+    const visible = bubbleAnchor.z < 1 && mesh.visible;
+    bubble.el.style.display = visible ? "" : "none";
+    if (!visible) continue;
+    const x = (bubbleAnchor.x + 1) * halfW;
+    const y = (1 - bubbleAnchor.y) * halfH;
+    bubble.el.style.transform = `translate(-50%, -100%) translate(${x}px, ${y}px)`;
+  }
+}
+
+function buildEmoteWheel() {
+  const radius = 84;
+  EMOTES.forEach((key, i) => {
+    const emote = EMOTE_LABELS[key];
+    const angle = (i / EMOTES.length) * Math.PI * 2 - Math.PI / 2;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "emote-option";
+    btn.style.left = `${120 + Math.cos(angle) * radius}px`;
+    btn.style.top = `${120 + Math.sin(angle) * radius}px`;
+    btn.innerHTML = `<span class="emote-icon">${emote.icon}</span>${emote.text}`;
+    btn.addEventListener("click", () => {
+      sendEmote(key);
+      toggleEmoteWheel(false);
+    });
+    emoteWheel.appendChild(btn);
+  });
+}
+
+function toggleEmoteWheel(open = emoteWheel.hidden) {
+  emoteWheel.hidden = !open;
+  emoteToggle.classList.toggle("active", open);
+}
+
+buildEmoteWheel();
+
+chatForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  sendChat(chatInput.value);
+  chatInput.value = "";
+  closeChat();
+});
+chatToggle.addEventListener("click", () => {
+  if (chatEl.classList.contains("open")) closeChat();
+  else openChat();
+});
+emoteToggle.addEventListener("click", () => toggleEmoteWheel());
+chatInput.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") closeChat();
+  e.stopPropagation();
+});
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target)) return;
+  if (isBound("chat", e.code)) {
+    e.preventDefault();
+    openChat();
+  } else if (isBound("emote", e.code)) {
+    toggleEmoteWheel();
+  } else if (!emoteWheel.hidden && /^Digit[1-8]$/.test(e.code)) {
+    sendEmote(EMOTES[Number(e.code.slice(5)) - 1]);
+    toggleEmoteWheel(false);
+  }
+});
+
+// --- Race mode ---
+const raceHud = document.getElementById("raceHud");
+const raceLapEl = document.getElementById("raceLap");
+const raceTimeEl = document.getElementById("raceTime");
+const raceSectorsEl = document.getElementById("raceSectors");
+const raceBestEl = document.getElementById("raceBest");
+const raceBanner = document.getElementById("raceBanner");
+const raceResults = document.getElementById("raceResults");
+const raceResultsBody = document.getElementById("raceResultsBody");
+const raceToggle = document.getElementById("raceToggle");
+
+const RACE = {
+  countdownMs: 3000,     // offline countdown; online the server sends its own
+  wrongWayDot: -0.3,     // heading vs track direction below this = wrong way
+  wrongWayMinSpeed: 3,
+  wrongWayDelayMs: 800,
+  bannerMs: 1400,
+  gateColor: 0xff9f1c,
+  startGateColor: 0xffffff,
+  nextGateColor: 0x3ddc97,
+};
+
+const race = {
+  state: "idle",   // idle | countdown | running | finished
+  online: false,   // the server runs the countdown and the finishing order
+  laps: 0,
+  goAt: 0,         // performance.now() of the green light
+  lap: 0,          // 0 until the car first crosses the start line
+  nextGate: 0,
+  lapStart: 0,
+  sectorStart: 0,
+  sectorTimes: [],
+  lastSectors: [],
+  bestLap: null,
+  wrongWaySince: 0,
+  bannerUntil: 0,
+};
+const raceGates = []; // gate index -> { group, material, frame, body }
+
+function formatRaceTime(ms) {
+  if (!Number.isFinite(ms)) return "—";
+  const total = Math.max(0, Math.round(ms));
+  const minutes = Math.floor(total / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${minutes}:${String(seconds).padStart(2, "0")}.${String(total % 1000).padStart(3, "0")}`;
+}
+
+// Sensor gates from the level's track plus their posts; posts are visual only so they never block.
+// Rebuilt with every level; a race in progress on the old one is dropped.
+function buildRaceTrack() {
+  raceGates.splice(0).forEach(({ group, body }) => {
+    unregisterBody(body);
+    scene.remove(group);
+    disposeObject3D(group);
+  });
+  if (race.state !== "idle") {
+    race.state = "idle";
+    raceHud.hidden = true;
+  }
+  switchGhostTrack();
+  const { track } = level;
+  if (!track) return;
+  const { gateWidth, gateHeight } = track;
+  const postGeo = new THREE.CylinderGeometry(0.22, 0.22, gateHeight, 10);
+  const barGeo = new THREE.BoxGeometry(gateWidth, 0.35, 0.35);
+  createCheckpointSensors(RAPIER, world, track).forEach(({ body, collider, gate }) => {
+    registerBody(body, null, collider, { type: "checkpoint", gate });
+    const frame = raceGateFrame(gate, track);
+    const color = gate === 0 ? RACE.startGateColor : RACE.gateColor;
+    const material = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.15, roughness: 0.5 });
+    const group = new THREE.Group();
+    [-gateWidth / 2, gateWidth / 2].forEach((x) => {
+      const post = new THREE.Mesh(postGeo, material);
+      post.position.set(x, gateHeight / 2, 0);
+      post.castShadow = true;
+      group.add(post);
+    });
+    const bar = new THREE.Mesh(barGeo, material);
+    bar.position.y = gateHeight;
+    group.add(bar);
+    group.position.set(frame.x, 0, frame.z);
+    group.rotation.y = Math.atan2(frame.dirX, frame.dirZ);
+    scene.add(group);
+    raceGates.push({ group, material, frame, body });
+  });
+}
+
+function highlightNextGate() {
+  const active = race.state === "countdown" || race.state === "running";
+  raceGates.forEach((gate, i) => {
+    const base = i === 0 ? RACE.startGateColor : RACE.gateColor;
+    const color = active && i === race.nextGate ? RACE.nextGateColor : base;
+    gate.material.color.setHex(color);
+    gate.material.emissive.setHex(color);
+    gate.material.emissiveIntensity = active && i === race.nextGate ? 0.6 : 0.15;
+  });
+}
+
+function showRaceBanner(text, { warning = false, ms = RACE.bannerMs } = {}) {
+  raceBanner.textContent = text;
+  raceBanner.classList.toggle("warning", warning);
+  raceBanner.hidden = false;
+  race.bannerUntil = ms > 0 ? performance.now() + ms : Infinity;
+}
+
+function startRaceCountdown(ms, slot = 0, online = false, laps = level.track?.laps) {
+  if (!level.track) return;
+  const now = performance.now();
+  Object.assign(race, {
+    state: "countdown",
+    online,
+    laps,
+    goAt: now + ms,
+    lap: 0,
+    nextGate: 0,
+    lapStart: 0,
+    sectorStart: 0,
+    sectorTimes: [],
+    lastSectors: [],
+    bestLap: null,
+    wrongWaySince: 0,
+  });
+  resetGhostRecording();
+  const pose = raceGridSlot(slot, level.track);
+  teleportPlayer(new THREE.Vector3(pose.x, SAFE_ZONE.height + levelHeightAt(level, pose.x, pose.z), pose.z), pose.yaw);
+  raceResults.hidden = true;
+  raceHud.hidden = false;
+  raceSectorsEl.textContent = "";
+  raceBestEl.textContent = "";
+  highlightNextGate();
+}
+
+// Local request: online the server starts it for the whole room.
+function requestRace() {
+  if (isEditing()) return;
+  if (!level.track) {
+    showRaceBanner("На этом уровне нет трассы", { warning: true, ms: 1500 });
+    return;
+  }
+  if (NETWORK.mode === "online" && NETWORK.socket?.readyState === WebSocket.OPEN) {
+    if (race.state === "countdown" || race.state === "running") return;
+    NETWORK.socket.send(JSON.stringify({ type: "race-start" }));
+    return;
+  }
+  startRaceCountdown(RACE.countdownMs);
+}
+
+function onGateCrossed(gate) {
+  if (race.state !== "running" || gate !== race.nextGate) return;
+  const v = playerPhysics.body?.linvel();
+  const { dirX, dirZ } = raceGates[gate].frame;
+  if (v && v.x * dirX + v.z * dirZ < 0) return; // backwards through the gate
+  const now = performance.now();
+  race.nextGate = (gate + 1) % level.track.gates.length;
+  if (gate === 0 && race.lap === 0) {
+    race.lap = 1; // first pass over the line after the standing start
+  } else {
+    if (level.track.sectors.includes(gate)) {
+      race.sectorTimes.push(now - race.sectorStart);
+      race.sectorStart = now;
+    }
+    if (gate === 0) completeLap(now);
+  }
+  highlightNextGate();
+}
+
+function completeLap(now) {
+  const lapTime = now - race.lapStart;
+  onGhostLap(lapTime);
+  race.bestLap = race.bestLap === null ? lapTime : Math.min(race.bestLap, lapTime);
+  race.lastSectors = race.sectorTimes;
+  race.sectorTimes = [];
+  race.lapStart = now;
+  raceSectorsEl.textContent = race.lastSectors.map((t, i) => `S${i + 1} ${formatRaceTime(t)}`).join(" · ");
+  raceBestEl.textContent = `Лучший круг ${formatRaceTime(race.bestLap)}`;
+  if (race.lap >= race.laps) {
+    finishRace(now);
+    return;
+  }
+  race.lap++;
+  showRaceBanner(race.lap === race.laps ? "Последний круг!" : `Круг ${race.lap}/${race.laps}`);
+}
+
+function finishRace(now) {
+  const time = now - race.goAt;
+  race.state = "finished";
+  highlightNextGate();
+  showRaceBanner(`Финиш! ${formatRaceTime(time)}`, { ms: 2500 });
+  if (race.online && NETWORK.socket?.readyState === WebSocket.OPEN) {
+    NETWORK.socket.send(JSON.stringify({ type: "race-finish", time: Math.round(time), bestLap: Math.round(race.bestLap) }));
+    return;
+  }
+  showRaceResults([{ id: NETWORK.id || "local", place: 1, time, bestLap: race.bestLap }], []);
+}
+
+function showRaceResults(results, dnf = []) {
+  raceResultsBody.textContent = "";
+  const addRow = (entry, cells) => {
+    const tr = document.createElement("tr");
+    if (entry.id === NETWORK.id || entry.id === "local") tr.className = "self";
+    cells.forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    raceResultsBody.appendChild(tr);
+  };
+  const nameOf = (entry) => (entry.id === NETWORK.id || entry.id === "local" ? "Вы" : entry.name || displayName(entry.id));
+  results.forEach((entry) => addRow(entry, [entry.place, nameOf(entry), formatRaceTime(entry.time), formatRaceTime(entry.bestLap ?? NaN)]));
+  dnf.forEach((entry) => addRow(entry, ["—", nameOf(entry), "сход", "—"]));
+  race.state = "idle";
+  raceHud.hidden = true;
+  highlightNextGate();
+  raceResults.hidden = false;
+}
+
+function updateRace() {
+  const now = performance.now();
+  if (race.state === "countdown") {
+    const remaining = race.goAt - now;
+    if (remaining <= 0) {
+      race.state = "running";
+      race.lapStart = race.goAt;
+      race.sectorStart = race.goAt;
+      showRaceBanner("СТАРТ!", { ms: 900 });
+    } else {
+      showRaceBanner(String(Math.ceil(remaining / 1000)), { ms: 0 });
+    }
+  }
+  if (race.state === "running" || race.state === "countdown") {
+    raceLapEl.textContent = `${Math.max(1, race.lap)}/${race.laps}`;
+    raceTimeEl.textContent = formatRaceTime(race.state === "running" ? now - race.goAt : 0);
+  }
+
+  // Wrong way: moving against the direction from the previous gate to the one we need.
+  const rb = playerPhysics.body;
+  if (race.state === "running" && rb) {
+    const { gates } = level.track;
+    const next = gates[race.nextGate];
+    const prev = gates[(race.nextGate - 1 + gates.length) % gates.length];
+    const dx = next[0] - prev[0];
+    const dz = next[1] - prev[1];
+    const len = Math.hypot(dx, dz) || 1;
+    const v = rb.linvel();
+    const speed = Math.hypot(v.x, v.z);
+    const wrong = speed > RACE.wrongWayMinSpeed && (v.x * dx + v.z * dz) / (len * speed) < RACE.wrongWayDot;
+    if (!wrong) {
+      race.wrongWaySince = 0;
+    } else if (!race.wrongWaySince) {
+      race.wrongWaySince = now;
+    } else if (now - race.wrongWaySince > RACE.wrongWayDelayMs) {
+      showRaceBanner("Не туда!", { warning: true, ms: 300 });
+    }
+  }
+
+  updateGhost(now);
+  if (!raceBanner.hidden && now > race.bannerUntil) raceBanner.hidden = true;
+}
+
+raceToggle.addEventListener("click", () => requestRace());
+document.getElementById("raceResultsClose").addEventListener("click", () => { raceResults.hidden = true; });
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target) || e.repeat) return;
+  if (isBound("race", e.code)) requestRace();
+});
+
+// --- Time-trial ghosts ---
+// The car's pose is recorded every fixed step while racing; the best lap is kept in IndexedDB
+// and replayed as a translucent, physics-free car from the start of each lap.
+const GHOST = {
+  dbName: "minicar",
+  store: "ghosts",
+  stride: 7,            // x, y, z, qx, qy, qz, qw per frame
+  opacity: 0.35,
+  magic: 0x3147434d,    // "MCG1" little-endian, binary export header
+  maxFrames: 60 * 60 * 5, // five minutes at FIXED_DT; longer laps are not kept
+};
+let trackKey = null; // ghosts are stored and matched per level and gate layout
+const ghost = {
+  recording: [],   // flat frames for the lap in progress
+  best: null,      // our own best lap: { track, time, name, dt, frames: Float32Array }
+  active: null,    // what is replayed: our best, or an imported one
+  car: null,
+  loading: null,
+};
+const ghostInfo = document.getElementById("ghostInfo");
+const ghostFile = document.getElementById("ghostFile");
+
+function openGhostDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(GHOST.dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(GHOST.store);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function ghostDbRequest(mode, run) {
+  const db = await openGhostDb();
+  return new Promise((resolve, reject) => {
+    const req = run(db.transaction(GHOST.store, mode).objectStore(GHOST.store));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).finally(() => db.close());
+}
+
+// A lap on one level's track means nothing on another's, even with the same gates.
+function switchGhostTrack() {
+  const key = level.track ? `track-${levelName}-${hashString(JSON.stringify(level.track.gates))}` : null;
+  if (key === trackKey) return;
+  trackKey = key;
+  ghost.best = null;
+  resetGhostRecording();
+  setActiveGhost(null);
+  if (key) loadBestGhost();
+}
+
+async function loadBestGhost() {
+  const key = trackKey;
+  try {
+    const stored = await ghostDbRequest("readonly", (store) => store.get(key));
+    if (stored?.frames && key === trackKey) setActiveGhost((ghost.best = stored));
+  } catch (err) {
+    console.warn("Ghost storage unavailable", err);
+  }
+}
+
+function describeGhost(data) {
+  if (!data) return "Призрак: нет записи";
+  return `Призрак: ${data.name || "без имени"} · ${formatRaceTime(data.time)}`;
+}
+
+async function ensureGhostCar() {
+  if (ghost.car || ghost.loading) return ghost.loading;
+  ghost.loading = makeCar(false, false).then((mesh) => {
+    mesh.traverse((child) => {
+      child.castShadow = false;
+      if (!child.material) return;
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      const ghostly = materials.map((mat) => {
+        const copy = mat.clone();
+        copy.transparent = true;
+        copy.opacity = GHOST.opacity;
+        copy.depthWrite = false;
+        return copy;
+      });
+      child.material = Array.isArray(child.material) ? ghostly : ghostly[0];
+    });
+    mesh.visible = false;
+    scene.add(mesh);
+    ghost.car = mesh;
+    return mesh;
+  });
+  return ghost.loading;
+}
+
+function setActiveGhost(data) {
+  ghost.active = data;
+  ghostInfo.textContent = describeGhost(data);
+  if (data) ensureGhostCar().catch((err) => console.warn("Ghost car failed", err));
+}
+
+// Called from stepPhysics(): one frame per fixed step while the clock is running.
+function recordGhostFrame() {
+  const rb = playerPhysics.body;
+  if (race.state !== "running" || !rb || ghost.recording.length >= GHOST.maxFrames * GHOST.stride) return;
+  const t = rb.translation();
+  const q = rb.rotation();
+  ghost.recording.push(t.x, t.y, t.z, q.x, q.y, q.z, q.w);
+}
+
+function resetGhostRecording() {
+  ghost.recording = [];
+}
+
+function onGhostLap(lapTime) {
+  const frames = ghost.recording;
+  ghost.recording = [];
+  if (frames.length >= GHOST.maxFrames * GHOST.stride) return;
+  if (ghost.best && ghost.best.time <= lapTime) return;
+  const followBest = !ghost.active || ghost.active === ghost.best; // keep an imported rival
+  ghost.best = {
+    track: trackKey,
+    time: Math.round(lapTime),
+    name: NETWORK.nickname || "",
+    dt: FIXED_DT,
+    frames: new Float32Array(frames),
+  };
+  if (followBest) setActiveGhost(ghost.best);
+  ghostDbRequest("readwrite", (store) => store.put(ghost.best, trackKey)).catch((err) => console.warn("Ghost save failed", err));
+}
+
+const ghostQuatA = new THREE.Quaternion();
+const ghostQuatB = new THREE.Quaternion();
+function updateGhost(now) {
+  const mesh = ghost.car;
+  if (!mesh) return;
+  const data = ghost.active;
+  const step = data ? ((now - race.lapStart) / 1000) / data.dt : -1;
+  const count = data ? data.frames.length / GHOST.stride : 0;
+  if (race.state !== "running" || step < 0 || step >= count - 1) {
+    mesh.visible = false;
+    return;
+  }
+  const i = Math.floor(step);
+  const k = step - i;
+  const f = data.frames;
+  const a = i * GHOST.stride;
+  const b = a + GHOST.stride;
+  mesh.position.set(
+    f[a] + (f[b] - f[a]) * k,
+    f[a + 1] + (f[b + 1] - f[a + 1]) * k,
+    f[a + 2] + (f[b + 2] - f[a + 2]) * k
+  );
+  ghostQuatA.set(f[a + 3], f[a + 4], f[a + 5], f[a + 6]);
+  ghostQuatB.set(f[b + 3], f[b + 4], f[b + 5], f[b + 6]);
+  mesh.quaternion.copy(ghostQuatA.slerp(ghostQuatB, k));
+  mesh.visible = true;
+}
+
+// --- Ghost files: JSON for readability, binary (MCG1) for size ---
+function ghostToJson(data) {
+  return JSON.stringify({
+    format: "minicar-ghost",
+    version: 1,
+    track: data.track,
+    time: data.time,
+    name: data.name,
+    dt: data.dt,
+    frames: Array.from(data.frames, (v) => Number(v.toFixed(4))),
+  });
+}
+
+function ghostToBinary(data) {
+  const name = new TextEncoder().encode(data.name || "");
+  const track = new TextEncoder().encode(data.track);
+  const buffer = new ArrayBuffer(4 + 4 + 4 + 2 + name.length + 2 + track.length + 4 + data.frames.byteLength);
+  const view = new DataView(buffer);
+  let o = 0;
+  view.setUint32(o, GHOST.magic, true); o += 4;
+  view.setUint32(o, Math.round(data.time), true); o += 4;
+  view.setFloat32(o, data.dt, true); o += 4;
+  view.setUint16(o, name.length, true); o += 2;
+  new Uint8Array(buffer, o, name.length).set(name); o += name.length;
+  view.setUint16(o, track.length, true); o += 2;
+  new Uint8Array(buffer, o, track.length).set(track); o += track.length;
+  view.setUint32(o, data.frames.length / GHOST.stride, true); o += 4;
+  for (let i = 0; i < data.frames.length; i++, o += 4) view.setFloat32(o, data.frames[i], true);
+  return buffer;
+}
+
+// Playback divides by dt and interpolates every value, so one NaN or a zero step breaks the ghost.
+function checkGhost(data) {
+  if (!(data.dt > 0) || !Number.isFinite(data.dt) || !Number.isFinite(data.time)) throw new Error("bad ghost timing");
+  if (!data.frames.every(Number.isFinite)) throw new Error("bad frame data");
+  return data;
+}
+
+// Accepts either export format; throws on anything else.
+function parseGhostFile(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength >= 4 && view.getUint32(0, true) === GHOST.magic) {
+    let o = 4;
+    const time = view.getUint32(o, true); o += 4;
+    const dt = view.getFloat32(o, true); o += 4;
+    const nameLength = view.getUint16(o, true); o += 2;
+    const name = new TextDecoder().decode(new Uint8Array(buffer, o, nameLength)); o += nameLength;
+    const trackLength = view.getUint16(o, true); o += 2;
+    const track = new TextDecoder().decode(new Uint8Array(buffer, o, trackLength)); o += trackLength;
+    const count = view.getUint32(o, true); o += 4;
+    if (count > GHOST.maxFrames || o + count * GHOST.stride * 4 > buffer.byteLength) throw new Error("truncated ghost");
+    const frames = new Float32Array(count * GHOST.stride);
+    for (let i = 0; i < frames.length; i++, o += 4) frames[i] = view.getFloat32(o, true);
+    return checkGhost({ track, time, name, dt, frames });
+  }
+  const json = JSON.parse(new TextDecoder().decode(buffer));
+  if (json?.format !== "minicar-ghost" || !Array.isArray(json.frames)) throw new Error("not a ghost file");
+  if (json.frames.length % GHOST.stride !== 0 || json.frames.length > GHOST.maxFrames * GHOST.stride) throw new Error("bad frame data");
+  return checkGhost({
+    track: String(json.track || ""),
+    time: Number(json.time ?? 0),
+    name: String(json.name || "").slice(0, NICKNAME_MAX_LENGTH),
+    dt: Number(json.dt ?? FIXED_DT),
+    frames: Float32Array.from(json.frames, (v) => (typeof v === "number" ? v : NaN)), // JSON writes NaN as null
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportGhost(binary) {
+  const data = ghost.active;
+  if (!data) return;
+  const base = `ghost-${(data.name || "lap").replace(/[^\p{L}\p{N}_-]+/gu, "_")}-${data.time}`;
+  if (binary) downloadBlob(new Blob([ghostToBinary(data)], { type: "application/octet-stream" }), `${base}.ghost`);
+  else downloadBlob(new Blob([ghostToJson(data)], { type: "application/json" }), `${base}.json`);
+}
+
+document.getElementById("ghostExportJson").addEventListener("click", () => exportGhost(false));
+document.getElementById("ghostExportBin").addEventListener("click", () => exportGhost(true));
+document.getElementById("ghostImport").addEventListener("click", () => ghostFile.click());
+ghostFile.addEventListener("change", async () => {
+  const file = ghostFile.files?.[0];
+  ghostFile.value = "";
+  if (!file) return;
+  try {
+    const data = parseGhostFile(await file.arrayBuffer());
+    if (data.track !== trackKey) showRaceBanner("Призрак с другой трассы", { warning: true, ms: 2000 });
+    setActiveGhost(data);
+  } catch (err) {
+    console.warn("Ghost import failed", err);
+    showRaceBanner("Не удалось загрузить призрака", { warning: true, ms: 2000 });
+  }
+});
+
+// --- Level editor (?edit) ---
+// Works offline on a copy of the current level: objects and spawn slots are placed, dragged,
+// rotated, scaled and deleted on the ground grid; P drops the car in for a test drive and back.
+// The result is exported as a levels/<name>.json file (format in src/shared/level.js).
+const EDITOR_PARAM = new URLSearchParams(location.search).has("edit");
+const EDITOR = {
+  rotateStep: Math.PI / 12,
+  scaleStep: 1.15,
+  minSize: 0.1,
+  maxSize: 40,
+  minHeight: 12,
+  maxHeight: 220,
+  flySpeed: 22,
+  lookSpeed: 0.005,
+  tools: ["select", "box", "cylinder", "ramp", "wedge", "halfpipe", "spawn"],
+  defaults: { box: [1, 1, 1], cylinder: [1, 1.5, 1], ramp: [3, 1, 5], wedge: [3, 0.8, 3], halfpipe: [8, 2, 10] },
+};
+const editorPanel = document.getElementById("editorPanel");
+const editorInspector = document.getElementById("editorInspector");
+const editorObjectFields = document.getElementById("editorObjectFields");
+const editorSizeInputs = ["editorSizeX", "editorSizeY", "editorSizeZ"].map((id) => document.getElementById(id));
+const editorYawInput = document.getElementById("editorYaw");
+const editorColorInput = document.getElementById("editorColor");
+const editorDynamicInput = document.getElementById("editorDynamic");
+const editorSnapSelect = document.getElementById("editorSnap");
+const editorRandomInput = document.getElementById("editorRandom");
+const editorNameInput = document.getElementById("editorName");
+const editorCameraBtn = document.getElementById("editorCamera");
+const editorTestBtn = document.getElementById("editorTest");
+const editorFile = document.getElementById("editorFile");
+
+const editor = {
+  active: false,
+  testDrive: false,
+  tool: "select",
+  snap: 1,            // fraction of a grid cell; 0 = free placement
+  level: null,        // the level being edited, in normalizeLevel() shape
+  selected: null,     // { kind: "object" | "spawn", index }
+  drag: null,         // { pointerId, dx, dz, moved } while moving the selection
+  look: null,         // { pointerId, x, y } while panning (top) or looking (fly)
+  cameraMode: "top",  // "top" | "fly"
+  target: new THREE.Vector3(), // top view: point under the camera
+  height: 70,
+  eye: new THREE.Vector3(),    // fly view
+  yaw: 0,
+  pitch: -0.5,
+  markers: new THREE.Group(),  // safe zone ring + spawn arrows
+  spawnCones: [],
+  highlight: null,
+};
+const editorRaycaster = new THREE.Raycaster();
+const editorPointer = new THREE.Vector2();
+const editorGround = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+editor.markers.visible = false;
+scene.add(editor.markers);
+
+function isEditing() {
+  return editor.active && !editor.testDrive;
+}
+
+function openEditor() {
+  editor.active = true;
+  editor.level = JSON.parse(JSON.stringify(level));
+  editor.target.set(level.safeZone.x, 0, level.safeZone.z);
+  editorNameInput.value = editor.level.name;
+  editorRandomInput.value = editor.level.randomProps.count;
+  editorPanel.hidden = false;
+  setNetStatus("Редактор уровня", false);
+  setEditorTool("select");
+  setEditorTestDrive(false);
+}
+
+function rebuildEditorLevel() {
+  applyLevel(normalizeLevel(editor.level), "editor");
+  clearProps();
+  spawnProps();
+  updateEditorMarkers();
+  updateEditorSelection();
+}
+
+function disposeObject3D(root) {
+  root.traverse((node) => {
+    node.geometry?.dispose();
+    node.material?.dispose();
+  });
+}
+
+function updateEditorMarkers() {
+  editor.markers.children.slice().forEach((child) => {
+    editor.markers.remove(child);
+    disposeObject3D(child);
+  });
+  editor.spawnCones = [];
+  const { safeZone, spawn } = editor.level;
+
+  const ring = new THREE.Mesh(
+    new THREE.RingGeometry(Math.max(0.1, safeZone.radius - 0.25), Math.max(0.35, safeZone.radius), 48),
+    new THREE.MeshBasicMaterial({ color: 0x5e60ce, transparent: true, opacity: 0.5, side: THREE.DoubleSide })
+  );
+  ring.rotation.x = -Math.PI / 2;
+  ring.position.set(safeZone.x, 0.03, safeZone.z);
+  editor.markers.add(ring);
+
+  spawn.slots.forEach(([x, z], index) => {
+    const marker = new THREE.Group();
+    const cone = new THREE.Mesh(
+      new THREE.ConeGeometry(0.7, 1.8, 12),
+      new THREE.MeshBasicMaterial({ color: 0xa5ffb1 })
+    );
+    cone.rotation.x = -Math.PI / 2; // tip along -Z, the car's forward
+    cone.position.y = 0.8;
+    cone.userData.spawnIndex = index;
+    marker.add(cone);
+    marker.position.set(safeZone.x + x, 0, safeZone.z + z);
+    marker.rotation.y = spawn.yaw;
+    editor.markers.add(marker);
+    editor.spawnCones.push(cone);
+  });
+}
+
+function editorSelectedMesh() {
+  const sel = editor.selected;
+  if (!sel) return null;
+  if (sel.kind === "object") return props.get(sel.index)?.mesh || null;
+  return editor.spawnCones[sel.index]?.parent || null;
+}
+
+function updateEditorSelection() {
+  if (editor.highlight) {
+    scene.remove(editor.highlight);
+    disposeObject3D(editor.highlight);
+    editor.highlight = null;
+  }
+  const mesh = isEditing() ? editorSelectedMesh() : null;
+  if (mesh) {
+    editor.highlight = new THREE.BoxHelper(mesh, 0xffd166);
+    scene.add(editor.highlight);
+  }
+
+  const sel = editor.selected;
+  editorInspector.hidden = !sel;
+  editorObjectFields.hidden = sel?.kind !== "object";
+  if (sel?.kind !== "object") return;
+  const obj = editor.level.objects[sel.index];
+  editorSizeInputs.forEach((input, i) => { input.value = obj.size[i].toFixed(2); });
+  editorYawInput.value = Math.round(THREE.MathUtils.radToDeg(obj.yaw));
+  editorColorInput.value = obj.color || `#${new THREE.Color().setHSL(obj.hue, 0.5, 0.5).getHexString()}`;
+  editorDynamicInput.checked = obj.dynamic;
+  editorDynamicInput.disabled = obj.shape === "halfpipe"; // trimesh colliders stay fixed
+}
+
+function setEditorTool(tool) {
+  editor.tool = tool;
+  editorPanel.querySelectorAll("[data-tool]").forEach((btn) => btn.classList.toggle("active", btn.dataset.tool === tool));
+}
+
+function setEditorTestDrive(on) {
+  editor.testDrive = on;
+  editor.drag = null;
+  editor.look = null;
+  rebuildEditorLevel(); // moved props go back to where the level puts them
+  editor.markers.visible = !on;
+  editorPanel.classList.toggle("testing", on);
+  document.body.classList.toggle("editing", !on);
+  editorTestBtn.textContent = on ? "Редактировать (P)" : "Тест-драйв (P)";
+  if (car) car.visible = on;
+  if (on) {
+    const spawn = getSafeSpawnTransform("local");
+    teleportPlayer(spawn.position, spawn.yaw);
+    inputX = 0;
+    inputY = 0;
+    accumulator = 0;
+  }
+}
+
+function editorSnapValue(value) {
+  const cell = editor.level.ground.size / gridDivisions(editor.level.ground.size);
+  const step = cell * editor.snap;
+  return step > 0 ? Math.round(value / step) * step : value;
+}
+
+function editorGroundPoint(e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  editorPointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+  editorRaycaster.setFromCamera(editorPointer, camera);
+  return editorRaycaster.ray.intersectPlane(editorGround, new THREE.Vector3());
+}
+
+// Call after editorGroundPoint(), which aims the raycaster.
+function editorPick() {
+  const targets = editor.spawnCones.slice();
+  editor.level.objects.forEach((_, index) => {
+    const mesh = props.get(index)?.mesh;
+    if (mesh) targets.push(mesh);
+  });
+  const hit = editorRaycaster.intersectObjects(targets, false)[0];
+  if (!hit) return null;
+  const spawnIndex = hit.object.userData.spawnIndex;
+  if (spawnIndex !== undefined) return { kind: "spawn", index: spawnIndex };
+  for (const [index, entry] of props.entries()) {
+    if (entry.mesh === hit.object) return { kind: "object", index };
+  }
+  return null;
+}
+
+function editorItemPosition(sel) {
+  if (sel.kind === "object") {
+    const [x, , z] = editor.level.objects[sel.index].position;
+    return { x, z };
+  }
+  const [x, z] = editor.level.spawn.slots[sel.index];
+  return { x: editor.level.safeZone.x + x, z: editor.level.safeZone.z + z };
+}
+
+function moveEditorItem(sel, x, z) {
+  const mesh = editorSelectedMesh();
+  if (sel.kind === "object") {
+    const obj = editor.level.objects[sel.index];
+    obj.position[0] = x;
+    obj.position[2] = z;
+  } else {
+    editor.level.spawn.slots[sel.index] = [x - editor.level.safeZone.x, z - editor.level.safeZone.z];
+  }
+  if (mesh) {
+    mesh.position.x = x;
+    mesh.position.z = z;
+  }
+  editor.highlight?.update();
+}
+
+function placeEditorItem(tool, x, z) {
+  if (tool === "spawn") {
+    const { slots } = editor.level.spawn;
+    slots.push([x - editor.level.safeZone.x, z - editor.level.safeZone.z]);
+    editor.selected = { kind: "spawn", index: slots.length - 1 };
+  } else {
+    const size = EDITOR.defaults[tool].slice();
+    editor.level.objects.push({
+      shape: tool,
+      size,
+      position: [x, size[1] + levelHeightAt(level, x, z), z],
+      yaw: 0,
+      color: null,
+      hue: Math.random(),
+      dynamic: false,
+      physics: {},
+    });
+    editor.selected = { kind: "object", index: editor.level.objects.length - 1 };
+  }
+  rebuildEditorLevel();
+}
+
+function deleteEditorSelection() {
+  const sel = editor.selected;
+  if (!sel) return;
+  if (sel.kind === "object") editor.level.objects.splice(sel.index, 1);
+  else if (editor.level.spawn.slots.length > 1) editor.level.spawn.slots.splice(sel.index, 1);
+  else return; // a level needs at least one spawn slot
+  editor.selected = null;
+  rebuildEditorLevel();
+}
+
+// Spawn arrows all share the level's spawn yaw, so rotating one turns them all.
+function rotateEditorSelection(direction) {
+  const sel = editor.selected;
+  if (!sel) return;
+  const snapYaw = (yaw) => Math.round((yaw + direction * EDITOR.rotateStep) / EDITOR.rotateStep) * EDITOR.rotateStep;
+  if (sel.kind === "object") {
+    const obj = editor.level.objects[sel.index];
+    obj.yaw = snapYaw(obj.yaw);
+  } else {
+    editor.level.spawn.yaw = snapYaw(editor.level.spawn.yaw);
+  }
+  rebuildEditorLevel();
+}
+
+// Objects keep their base where it was, so a crate on the ground stays on the ground.
+function resizeEditorObject(size) {
+  const sel = editor.selected;
+  if (sel?.kind !== "object") return;
+  const obj = editor.level.objects[sel.index];
+  const next = size.map((v, i) => (Number.isFinite(v) ? clamp(v, EDITOR.minSize, EDITOR.maxSize) : obj.size[i]));
+  obj.position[1] += next[1] - obj.size[1];
+  obj.size = next;
+  rebuildEditorLevel();
+}
+
+function resizeEditorSelectionBy(factor) {
+  const sel = editor.selected;
+  if (sel?.kind === "object") resizeEditorObject(editor.level.objects[sel.index].size.map((v) => v * factor));
+}
+
+function toggleEditorCamera() {
+  if (editor.cameraMode === "top") {
+    editor.cameraMode = "fly";
+    editor.eye.set(editor.target.x, 18, editor.target.z + 24);
+    editor.yaw = 0;
+    editor.pitch = -0.5;
+  } else {
+    editor.cameraMode = "top";
+    editor.target.set(editor.eye.x, 0, editor.eye.z);
+  }
+  editorCameraBtn.textContent = editor.cameraMode === "top" ? "Камера: сверху (V)" : "Камера: полёт (V)";
+}
+
+function editorFlyForward() {
+  const cp = Math.cos(editor.pitch);
+  return new THREE.Vector3(-Math.sin(editor.yaw) * cp, Math.sin(editor.pitch), -Math.cos(editor.yaw) * cp);
+}
+
+// Flies with the player's drive bindings; Q/E (rise) are fixed editor keys.
+function updateEditorCamera(dt) {
+  const strafe = (keyHeld("right") ? 1 : 0) - (keyHeld("left") ? 1 : 0);
+  const advance = (keyHeld("forward") ? 1 : 0) - (keyHeld("back") ? 1 : 0);
+  if (editor.cameraMode === "top") {
+    const speed = editor.height * 0.8 * dt;
+    editor.target.x += strafe * speed;
+    editor.target.z -= advance * speed;
+    camera.position.set(editor.target.x, editor.height, editor.target.z);
+    camera.up.set(0, 0, -1); // north (-Z) is up on screen
+    camera.lookAt(editor.target);
+    return;
+  }
+  const forward = editorFlyForward();
+  const right = new THREE.Vector3(Math.cos(editor.yaw), 0, -Math.sin(editor.yaw));
+  const rise = (editorKeyHeld("KeyE") ? 1 : 0) - (editorKeyHeld("KeyQ") ? 1 : 0);
+  const speed = EDITOR.flySpeed * dt;
+  editor.eye.addScaledVector(forward, advance * speed).addScaledVector(right, strafe * speed);
+  editor.eye.y = Math.max(0.5, editor.eye.y + rise * speed);
+  camera.position.copy(editor.eye);
+  camera.up.set(0, 1, 0);
+  camera.lookAt(tempVec3.copy(editor.eye).add(forward));
+}
+
+renderer.domElement.addEventListener("contextmenu", (e) => {
+  if (editor.active) e.preventDefault();
+});
+
+renderer.domElement.addEventListener("pointerdown", (e) => {
+  if (!isEditing()) return;
+  const point = editorGroundPoint(e);
+  const hit = e.button === 0 ? editorPick() : null;
+  if (e.button === 0 && editor.tool !== "select" && point) {
+    placeEditorItem(editor.tool, editorSnapValue(point.x), editorSnapValue(point.z));
+    return;
+  }
+  if (hit && point) {
+    editor.selected = hit;
+    updateEditorSelection();
+    const pos = editorItemPosition(hit);
+    editor.drag = { pointerId: e.pointerId, dx: pos.x - point.x, dz: pos.z - point.z, moved: false };
+  } else {
+    if (e.button === 0 && editor.selected) {
+      editor.selected = null;
+      updateEditorSelection();
+    }
+    editor.look = { pointerId: e.pointerId, x: e.clientX, y: e.clientY }; // empty ground or right button
+  }
+  renderer.domElement.setPointerCapture(e.pointerId);
+});
+
+renderer.domElement.addEventListener("pointermove", (e) => {
+  if (!isEditing()) return;
+  if (editor.drag?.pointerId === e.pointerId && editor.selected) {
+    const point = editorGroundPoint(e);
+    if (!point) return;
+    moveEditorItem(editor.selected, editorSnapValue(point.x + editor.drag.dx), editorSnapValue(point.z + editor.drag.dz));
+    editor.drag.moved = true;
+  } else if (editor.look?.pointerId === e.pointerId) {
+    const dx = e.clientX - editor.look.x;
+    const dy = e.clientY - editor.look.y;
+    editor.look.x = e.clientX;
+    editor.look.y = e.clientY;
+    if (editor.cameraMode === "top") {
+      const metresPerPixel = (2 * editor.height * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2))) / window.innerHeight;
+      editor.target.x -= dx * metresPerPixel;
+      editor.target.z -= dy * metresPerPixel;
+    } else {
+      editor.yaw -= dx * EDITOR.lookSpeed;
+      editor.pitch = clamp(editor.pitch - dy * EDITOR.lookSpeed, -1.5, 1.5);
+    }
+  }
+});
+
+function endEditorPointer(e) {
+  if (editor.drag?.pointerId === e.pointerId) {
+    if (editor.drag.moved) rebuildEditorLevel(); // colliders follow the meshes
+    editor.drag = null;
+  }
+  if (editor.look?.pointerId === e.pointerId) editor.look = null;
+}
+renderer.domElement.addEventListener("pointerup", endEditorPointer);
+renderer.domElement.addEventListener("pointercancel", endEditorPointer);
+
+renderer.domElement.addEventListener("wheel", (e) => {
+  if (!isEditing()) return;
+  e.preventDefault();
+  if (editor.cameraMode === "top") {
+    editor.height = clamp(editor.height * (e.deltaY > 0 ? 1.12 : 1 / 1.12), EDITOR.minHeight, EDITOR.maxHeight);
+  } else {
+    editor.eye.addScaledVector(editorFlyForward(), -Math.sign(e.deltaY) * 2);
+  }
+}, { passive: false });
+
+// The editor's own keys (R, V, Q/E, 1–7, +/−) only act while editing, where the game shortcuts
+// are off, so they may share codes with those (R is also `reset`). A key the player moved a fly
+// binding onto flies instead.
+const EDITOR_FLY_ACTIONS = ["forward", "back", "left", "right"];
+
+function flyBound(code) {
+  return EDITOR_FLY_ACTIONS.some((action) => isBound(action, code));
+}
+
+function editorKeyHeld(code) {
+  return keys.has(code) && !flyBound(code);
+}
+
+window.addEventListener("keydown", (e) => {
+  if (!editor.active || isTypingTarget(e.target)) return;
+  if (e.code === "KeyP") {
+    if (!e.repeat) setEditorTestDrive(!editor.testDrive);
+    return;
+  }
+  if (editor.testDrive || flyBound(e.code)) return;
+  const toolIndex = /^Digit[1-7]$/.test(e.code) ? Number(e.code.slice(5)) - 1 : -1;
+  if (toolIndex >= 0) setEditorTool(EDITOR.tools[toolIndex]);
+  else if (e.code === "KeyR") rotateEditorSelection(e.shiftKey ? -1 : 1);
+  else if (e.code === "Equal" || e.code === "NumpadAdd") resizeEditorSelectionBy(EDITOR.scaleStep);
+  else if (e.code === "Minus" || e.code === "NumpadSubtract") resizeEditorSelectionBy(1 / EDITOR.scaleStep);
+  else if (e.code === "Delete" || e.code === "Backspace") deleteEditorSelection();
+  else if (e.code === "KeyV" && !e.repeat) toggleEditorCamera();
+  else if (e.code === "Escape") {
+    editor.selected = null;
+    setEditorTool("select");
+    updateEditorSelection();
+  }
+});
+
+function exportEditorLevel() {
+  const json = JSON.stringify(editor.level, (key, value) => (key === "color" && value === null ? undefined : value), 2);
+  const base = editor.level.name.toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "") || "level";
+  downloadBlob(new Blob([json], { type: "application/json" }), `${base}.json`);
+}
+
+editorPanel.querySelectorAll("[data-tool]").forEach((btn) => {
+  btn.addEventListener("click", () => setEditorTool(btn.dataset.tool));
+});
+editorSnapSelect.addEventListener("change", () => { editor.snap = Number(editorSnapSelect.value) || 0; });
+editorCameraBtn.addEventListener("click", () => toggleEditorCamera());
+editorTestBtn.addEventListener("click", () => setEditorTestDrive(!editor.testDrive));
+document.getElementById("editorRotate").addEventListener("click", () => rotateEditorSelection(1));
+document.getElementById("editorDelete").addEventListener("click", () => deleteEditorSelection());
+editorSizeInputs.forEach((input) => {
+  input.addEventListener("change", () => resizeEditorObject(editorSizeInputs.map((el) => Number(el.value))));
+});
+editorYawInput.addEventListener("change", () => {
+  const obj = editor.selected?.kind === "object" ? editor.level.objects[editor.selected.index] : null;
+  if (!obj) return;
+  obj.yaw = THREE.MathUtils.degToRad(Number(editorYawInput.value) || 0);
+  rebuildEditorLevel();
+});
+editorColorInput.addEventListener("change", () => {
+  const obj = editor.selected?.kind === "object" ? editor.level.objects[editor.selected.index] : null;
+  if (!obj) return;
+  obj.color = editorColorInput.value;
+  rebuildEditorLevel();
+});
+editorDynamicInput.addEventListener("change", () => {
+  const obj = editor.selected?.kind === "object" ? editor.level.objects[editor.selected.index] : null;
+  if (!obj) return;
+  obj.dynamic = editorDynamicInput.checked;
+  rebuildEditorLevel();
+});
+editorRandomInput.addEventListener("change", () => {
+  editor.level.randomProps.count = clamp(Math.floor(Number(editorRandomInput.value) || 0), 0, 60);
+  editorRandomInput.value = editor.level.randomProps.count;
+  rebuildEditorLevel();
+});
+editorNameInput.addEventListener("change", () => {
+  editor.level.name = editorNameInput.value.trim().slice(0, 40) || "Level";
+});
+document.getElementById("editorExport").addEventListener("click", () => exportEditorLevel());
+document.getElementById("editorImport").addEventListener("click", () => editorFile.click());
+editorFile.addEventListener("change", async () => {
+  const file = editorFile.files?.[0];
+  editorFile.value = "";
+  if (!file) return;
+  try {
+    editor.level = normalizeLevel(JSON.parse(await file.text()));
+    editor.selected = null;
+    editorNameInput.value = editor.level.name;
+    editorRandomInput.value = editor.level.randomProps.count;
+    editor.target.set(editor.level.safeZone.x, 0, editor.level.safeZone.z);
+    setEditorTestDrive(false);
+  } catch (err) {
+    console.warn("Level import failed", err);
+    showRaceBanner("Не удалось загрузить уровень", { warning: true, ms: 2000 });
+  }
+});
+
+// --- Input: single joystick + keyboard fallback ---
+const settings = loadSettings(); // bindings, axis inversion, deadzone, joystick layout (src/settings.js)
+const joy = document.getElementById("joy");
+const nub = document.getElementById("joyNub");
+const isCoarsePointer = window.matchMedia("(pointer: coarse)").matches;
+if (!isCoarsePointer) {
+  joy.style.display = "none";
+}
+
+let joyActive = false;
+let joyPointerId = null;
+let joyX = 0;  // -1..1
+let joyY = 0;  // -1..1
+
+function setNub(dx, dy) {
+  nub.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+}
+
+function handleJoyEvent(e) {
+  e.preventDefault();
+  const rect = joy.getBoundingClientRect();
+  const cx = rect.left + rect.width / 2;
+  const cy = rect.top + rect.height / 2;
+  const radius = rect.width * 0.36; // nub travel
+
+  const px = e.clientX;
+  const py = e.clientY;
+
+  let dx = px - cx;
+  let dy = py - cy;
+
+  const len = Math.hypot(dx, dy);
+  if (len > radius) {
+    dx = (dx / len) * radius;
+    dy = (dy / len) * radius;
+  }
+
+  setNub(dx, dy);
+
+  // Normalize to -1..1. Up on screen = forward throttle.
+  joyX = dx / radius;
+  joyY = -dy / radius;
+
+  // Deadzone (so it doesn't drift)
+  const dz = 0.08;
+  if (Math.abs(joyX) < dz) joyX = 0;
+  if (Math.abs(joyY) < dz) joyY = 0;
+}
+
+joy.addEventListener("pointerdown", (e) => {
+  joyActive = true;
+  joyPointerId = e.pointerId;
+  joy.setPointerCapture(joyPointerId);
+  handleJoyEvent(e);
+}, { passive: false });
+
+joy.addEventListener("pointermove", (e) => {
+  if (!joyActive || e.pointerId !== joyPointerId) return;
+  handleJoyEvent(e);
+}, { passive: false });
+
+function releaseJoy() {
+  joyActive = false;
+  joyPointerId = null;
+  joyX = 0;
+  joyY = 0;
+  setNub(0, 0);
+}
+
+joy.addEventListener("pointerup", (e) => {
+  if (e.pointerId !== joyPointerId) return;
+  releaseJoy();
+}, { passive: false });
+
+joy.addEventListener("pointercancel", releaseJoy, { passive: false });
+
+// Keyboard fallback (PC)
+const keys = new Set();
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target)) return;
+  if (isBound("handbrake", e.code)) e.preventDefault(); // handbrake, not a click on the focused button
+  keys.add(e.code);
+});
+window.addEventListener("keyup", (e) => { keys.delete(e.code); });
+
+function isBound(action, code) {
+  return settings.keys[action].includes(code);
+}
+
+function keyHeld(action) {
+  return settings.keys[action].some((code) => keys.has(code));
+}
+
+// Drive convention (applyDriveForces): -x steers right and -y drives nose-first, so the keys flip.
 function keyboardAxes() {
   let x = 0, y = 0;
-  const left  = keys.has("ArrowLeft") || keys.has("KeyA");
-  const right = keys.has("ArrowRight")|| keys.has("KeyD");
-  const up    = keys.has("ArrowUp")   || keys.has("KeyW");
-  const down  = keys.has("ArrowDown") || keys.has("KeyS");
-  if (left) x -= 1;
-  if (right) x += 1;
-  if (up) y += 1;
-  if (down) y -= 1;
-  // Invert both axes for keyboard to mirror requested control scheme
-  return { x: -x, y: -y };
+  if (keyHeld("left")) x -= 1;
+  if (keyHeld("right")) x += 1;
+  if (keyHeld("forward")) y += 1;
+  if (keyHeld("back")) y -= 1;
+  const invert = settings.invert.keyboard;
+  return { x: invert.steer ? x : -x, y: invert.throttle ? y : -y };
+}
+
+// Handbrake / boost: Space / Shift, the touch buttons next to the joystick, or the gamepad.
+const touchActions = { handbrake: false, boost: false };
+
+// Gamepad (src/gamepad.js): left stick steers, RT/LT are analog throttle/brake; the buttons
+// (by default A handbrake, RB boost, Back reset, Y camera, X lights, B horn) can be remapped.
+const gamepad = createGamepad({ deadzone: settings.deadzone, bindings: settings.pad, invert: settings.invert.gamepad });
+
+// One normalized input state for applyPlayerForces(), in keyboardAxes()' convention, merged once
+// per frame from the touch joystick, the keyboard and the gamepad. A held touch joystick wins;
+// otherwise each axis takes whichever of keyboard/gamepad is pushed further. Analog sources are
+// already deadzoned (the joystick's fixed one, the pad's configurable one), so nothing cuts again.
+const controls = { x: 0, y: 0, handbrake: false, boost: false };
+
+function strongest(a, b) {
+  return Math.abs(b) > Math.abs(a) ? b : a;
+}
+
+function readControls() {
+  const pad = gamepad.poll();
+  if (joyActive && (joyX || joyY)) {
+    // Screen right steers with +x (the opposite of the keys) unless the player flips it.
+    const invert = settings.invert.touch;
+    controls.x = invert.steer ? -joyX : joyX;
+    controls.y = invert.throttle ? joyY : -joyY;
+  } else {
+    const k = keyboardAxes();
+    controls.x = strongest(k.x, pad.x);
+    controls.y = strongest(k.y, pad.y);
+  }
+  controls.handbrake = keyHeld("handbrake") || touchActions.handbrake || pad.handbrake;
+  controls.boost = keyHeld("boost") || touchActions.boost || pad.boost;
+  if (settingsMenu.waitingForPad) {
+    const [button] = pad.buttons;
+    if (button !== undefined) settingsMenu.capturePadButton(button);
+  } else if (!isEditing()) {
+    runGamepadActions(pad.pressed);
+  }
+}
+
+// --- Settings menu ---
+// ⚙️ opens it; every change is saved right away and applied here.
+const settingsMenu = createSettingsMenu({ settings, onChange: applySettings });
+
+function applySettings() {
+  gamepad.setBindings(settings.pad);
+  gamepad.setInvert(settings.invert.gamepad);
+  gamepad.setDeadzone(settings.deadzone);
+  const style = document.documentElement.style;
+  style.setProperty("--joy-size", `${settings.joystick.size}px`);
+  style.setProperty("--joy-lift", `${settings.joystick.lift}px`);
+  if (settings.joystick.x === null) style.removeProperty("--joy-x");
+  else style.setProperty("--joy-x", `${settings.joystick.x}%`);
 }
 
+document.getElementById("settingsToggle").addEventListener("click", () => settingsMenu.toggle());
+applySettings();
+
+document.querySelectorAll("#touchActions [data-action]").forEach((button) => {
+  const action = button.dataset.action;
+  const release = () => {
+    touchActions[action] = false;
+    button.classList.remove("held");
+  };
+  button.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    button.setPointerCapture?.(e.pointerId);
+    touchActions[action] = true;
+    button.classList.add("held");
+  });
+  button.addEventListener("pointerup", release);
+  button.addEventListener("pointercancel", release);
+});
+if (!isCoarsePointer) document.getElementById("touchActions").hidden = true;
+
 // --- Physics driving ---
 const playerPhysics = { body: null, collider: null };
 let inputX = 0;
 let inputY = 0;
+const playerInput = { x: 0, y: 0, h: false, b: false }; // raw stick/keys after deadzone, before smoothing; h/b = handbrake/boost
+const playerBoost = { charge: 1, active: false };
 let accumulator = 0;
 let last = performance.now();
 let cameraShake = 0;
 const previousTransforms = new Map();
 let lastPhysicsDt = FIXED_DT;
 
-const DRIVE = {
-  engineImpulse: 5.6,  // raise for snappier acceleration (arcade)
-  steerTorque: 0.64,   // raise for faster yaw response
-  maxSpeed: 10.2,      // forward top speed (swap with reverse for request)
-  maxReverse: 24.0,    // reverse top speed (faster per request)
-  speedClamp: 0.3,     // higher = stronger speed cap impulse
-  sideGrip: 1.7,       // higher = less drift
-  ccd: true,
-  skidSideThreshold: 3.4,
-  skidMinSpeed: 4.6,
-};
-
 const CAMERA = {
   offset: new THREE.Vector3(0, 6.0, -12.0),
   lookAhead: new THREE.Vector3(0, 1.2, 6.5),
   shakeDecay: 3.8,
+  fov: 60,
+  // Offsets are in car space (+Z = the car's nose).
+  far: { offset: new THREE.Vector3(0, 9.5, -21), lookAhead: new THREE.Vector3(0, 1.5, 9) },
+  hood: { offset: new THREE.Vector3(0, 0.75, 2.25), lookAhead: new THREE.Vector3(0, 0.6, 12) }, // on the front bumper
+  top: { height: 36 },
+  orbit: { distance: 12, minDistance: 4, maxDistance: 45, minPitch: 0.05, maxPitch: 1.45, dragSpeed: 0.006 },
+  cinematic: {
+    points: 8,          // trackside spots on a ring around the level centre
+    ringScale: 0.62,    // ring radius as a share of the level half-size
+    height: 4,
+    holdMs: 6000,       // cut to a nearer spot after this long
+    maxDistance: 60,    // ...or right away once the car is this far
+    frame: 5,           // metres kept in frame, sets the zoom
+    minFov: 14,
+  },
 };
 
-function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
-function approach(current, target, maxDelta) {
-  const delta = target - current;
-  if (Math.abs(delta) <= maxDelta) return target;
-  return current + Math.sign(delta) * maxDelta;
-}
-
 class ParticlePool {
   constructor(max, color, size, additive = false) {
     this.max = max;
@@ -1390,6 +3429,639 @@ class ParticlePool {
 const impactParticles = new ParticlePool(200, 0xffd7a6, 0.18, true);
 const skidParticles = new ParticlePool(160, 0xd0d0d0, 0.12, false);
 let skidCooldown = 0;
+let airTime = 0; // seconds since any wheel last touched something
+const AIRBORNE = {
+  landingMinTime: 0.35, // shorter hops (bumps, kerbs) land silently
+  landingScale: 1.2,
+};
+
+// --- Driving profiles ---
+// "arcade" pushes the chassis directly (same model the authoritative server runs);
+// "raycast" hangs the chassis on four sprung wheels via Rapier's vehicle controller.
+const DRIVE_PROFILES = { arcade: "Аркада", raycast: "Подвеска" };
+const DRIVE_PROFILE_KEY = "minicar.driveProfile";
+const VEHICLE = {
+  rest: 0.25,             // suspension rest length
+  sag: 0.13,              // compression under the car's weight; mounts are raised by this
+  travel: 0.25,
+  stiffness: 28,          // higher = stiffer springs, less body roll
+  compression: 2.4,       // damping while compressing
+  relaxation: 2.8,        // damping while extending
+  maxSuspensionForce: 1000,
+  frictionSlip: 2.2,      // lower = wheels spin/slide sooner
+  sideFrictionStiffness: 1,
+  engineForce: 16,        // per rear wheel
+  brake: 0.5,
+  rollingBrake: 0.04,     // off-throttle drag
+  handbrake: 0.3,         // rear brake while the handbrake is held (its grip comes from DRIVE)
+  maxSteer: Math.PI / 7,
+  highSpeedSteer: 0.55,   // steering left at top speed
+  linearDamping: 0.2,
+  angularDamping: 1.0,
+};
+const vehicle = { controller: null, body: null };
+
+function loadDriveProfile() {
+  const saved = loadPref(DRIVE_PROFILE_KEY, "arcade");
+  return saved in DRIVE_PROFILES ? saved : "arcade";
+}
+
+let driveProfile = loadDriveProfile();
+
+// The server only simulates the arcade model, so authoritative rooms always use it.
+function activeDriveProfile() {
+  return NETWORK.authority ? "arcade" : driveProfile;
+}
+
+function setDriveProfile(profile) {
+  if (!(profile in DRIVE_PROFILES)) return;
+  driveProfile = profile;
+  savePref(DRIVE_PROFILE_KEY, profile);
+  syncVehicleController();
+  showRaceBanner(NETWORK.authority ? `${DRIVE_PROFILES.arcade} (сервер)` : DRIVE_PROFILES[profile], { ms: 1200 });
+}
+
+// Wheel mounts per corner (front -x, front +x, rear -x, rear +x) in car space, averaged over the wheel meshes found
+// there; falls back to the collider's corners when the model doesn't have all four.
+function vehicleWheelMounts(rig, anchors) {
+  const mounts = [0, 1, 2, 3].map((corner) => {
+    const wheels = rig.filter((wheel) => wheel.corner === corner);
+    if (!wheels.length) return null;
+    const sum = wheels.reduce((acc, wheel) => acc.add(wheel.center), new THREE.Vector3());
+    return sum.divideScalar(wheels.length);
+  });
+  if (mounts.every(Boolean)) return mounts;
+  const radius = car.userData.wheelRadius || 0.33;
+  return [[-1, 1], [1, 1], [-1, -1], [1, -1]].map(([sx, sz]) => {
+    const anchor = anchors.find((a) => Math.sign(a.x) === sx && Math.sign(a.z) === sz) || anchors[0];
+    return new THREE.Vector3(anchor.x, radius, anchor.z);
+  });
+}
+
+function removeVehicleController() {
+  if (!vehicle.controller) return;
+  world.removeVehicleController(vehicle.controller);
+  vehicle.body?.setLinearDamping(DRIVE.linearDamping);
+  vehicle.body?.setAngularDamping(DRIVE.angularDamping);
+  vehicle.controller = null;
+  vehicle.body = null;
+  car?.userData.wheelRig?.forEach((wheel) => wheel.mesh.position.copy(wheel.basePosition));
+}
+
+// Creates or drops the controller so it matches the active profile and the current player body.
+function syncVehicleController() {
+  const rb = playerPhysics.body;
+  const wanted = activeDriveProfile() === "raycast" && rb && car;
+  if (vehicle.controller && (!wanted || vehicle.body !== rb)) removeVehicleController();
+  if (!wanted || vehicle.controller) return;
+
+  const radius = car.userData.wheelRadius || 0.33;
+  const mounts = vehicleWheelMounts(car.userData.wheelRig || [], car.userData.physics.wheelAnchors);
+  const controller = world.createVehicleController(rb);
+  controller.indexUpAxis = 1;
+  controller.setIndexForwardAxis = 2;
+  mounts.forEach((mount, i) => {
+    controller.addWheel(
+      { x: mount.x, y: mount.y + VEHICLE.rest - VEHICLE.sag, z: mount.z },
+      { x: 0, y: -1, z: 0 },
+      { x: -1, y: 0, z: 0 },
+      VEHICLE.rest,
+      radius
+    );
+    controller.setWheelSuspensionStiffness(i, VEHICLE.stiffness);
+    controller.setWheelSuspensionCompression(i, VEHICLE.compression);
+    controller.setWheelSuspensionRelaxation(i, VEHICLE.relaxation);
+    controller.setWheelMaxSuspensionTravel(i, VEHICLE.travel);
+    controller.setWheelMaxSuspensionForce(i, VEHICLE.maxSuspensionForce);
+    controller.setWheelFrictionSlip(i, VEHICLE.frictionSlip);
+    controller.setWheelSideFrictionStiffness(i, VEHICLE.sideFrictionStiffness);
+  });
+  rb.setLinearDamping(VEHICLE.linearDamping);
+  rb.setAngularDamping(VEHICLE.angularDamping);
+  vehicle.controller = controller;
+  vehicle.body = rb;
+}
+
+// Same inputs and return shape as applyDriveForces(), but through the wheels: front pair steers,
+// rear pair drives, and pressing against the direction of travel brakes first.
+function applyVehicleDrive(rb, ax, ay, dt, mods = {}) {
+  const { handbrake = false, boost = false } = mods;
+  const controller = vehicle.controller;
+  const rot = rb.rotation();
+  const q = new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w);
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(q);
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(q);
+  const lv = rb.linvel();
+  const vel = new THREE.Vector3(lv.x, lv.y, lv.z);
+  const speedAlong = vel.dot(forward);
+  const sideSpeed = vel.dot(right);
+
+  const steerScale = 1 - (1 - VEHICLE.highSpeedSteer) * clamp(Math.abs(speedAlong) / DRIVE.maxReverse, 0, 1);
+  const steer = ax * VEHICLE.maxSteer * steerScale;
+  const against = Math.abs(speedAlong) > 0.5 && Math.sign(ay) !== Math.sign(speedAlong) && ay !== 0;
+  const speedScale = boost ? BOOST.speedScale : 1;
+  const capped = ay > 0 ? speedAlong >= DRIVE.maxSpeed * speedScale : speedAlong <= -DRIVE.maxReverse * speedScale;
+  const engine = against || capped ? 0 : -ay * VEHICLE.engineForce * (boost ? BOOST.impulseScale : 1);
+  const brake = against ? VEHICLE.brake * Math.abs(ay) : ay === 0 ? VEHICLE.rollingBrake : 0;
+
+  let grounded = false;
+  for (let i = 0; i < controller.numWheels(); i++) {
+    const rear = i >= 2;
+    controller.setWheelSteering(i, rear ? 0 : steer);
+    controller.setWheelEngineForce(i, rear ? engine : 0);
+    controller.setWheelBrake(i, rear && handbrake ? Math.max(brake, VEHICLE.handbrake) : brake);
+    controller.setWheelFrictionSlip(i, VEHICLE.frictionSlip * (rear && handbrake ? DRIVE.handbrakeGrip : 1));
+  }
+  controller.updateVehicle(dt, RAPIER.QueryFilterFlags.EXCLUDE_SENSORS);
+  for (let i = 0; i < controller.numWheels(); i++) {
+    if (controller.wheelIsInContact(i)) grounded = true;
+  }
+  return { forward, right, speedAlong, sideSpeed, grounded };
+}
+
+const driveToggle = document.getElementById("driveToggle");
+driveToggle.addEventListener("click", () => setDriveProfile(driveProfile === "arcade" ? "raycast" : "arcade"));
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target) || e.repeat || isEditing()) return;
+  if (isBound("driveModel", e.code)) driveToggle.click();
+});
+
+// Wheel meshes follow their spring: extended suspension drops the wheel below its modelled spot.
+function applyWheelSuspension(car) {
+  const controller = vehicle.controller;
+  if (!controller || car.userData.physics?.body !== vehicle.body) return;
+  car.userData.wheelRig?.forEach((wheel) => {
+    const length = controller.wheelSuspensionLength(wheel.corner) ?? VEHICLE.rest - VEHICLE.sag;
+    wheel.mesh.position.copy(wheel.basePosition).addScaledVector(wheel.travelAxis, VEHICLE.rest - VEHICLE.sag - length);
+  });
+}
+
+// --- Drift scoring ---
+// Points build while the car slides sideways (the same slip that kicks up skid dust); holding a
+// drift raises the multiplier. A drift is banked once the slip has stopped for `graceSec`,
+// and lost if the car hits something hard mid-slide.
+const DRIFT = {
+  pointsPerSlip: 12,   // points per second for each m/s of side slip
+  comboEverySec: 1.5,  // sustained drift per multiplier step
+  maxMultiplier: 5,
+  graceSec: 0.6,
+  crashImpact: 0.9,    // impact strength that wipes the pending drift
+};
+const drift = { total: 0, points: 0, time: 0, idle: 0, multiplier: 1, flash: 0 };
+const driveHud = {
+  boostFill: document.getElementById("boostFill"),
+  boostBar: document.getElementById("boostBar"),
+  total: document.getElementById("driftTotal"),
+  pending: document.getElementById("driftPending"),
+};
+
+function updateDrift(dt, sideSpeed, speedAlong, grounded) {
+  const sliding = grounded && Math.abs(sideSpeed) > DRIVE.skidSideThreshold && Math.abs(speedAlong) > DRIVE.skidMinSpeed;
+  if (sliding) {
+    drift.time += dt;
+    drift.idle = 0;
+    drift.multiplier = Math.min(DRIFT.maxMultiplier, 1 + Math.floor(drift.time / DRIFT.comboEverySec));
+    drift.points += Math.abs(sideSpeed) * DRIFT.pointsPerSlip * dt;
+  } else if (drift.time > 0) {
+    drift.idle += dt;
+    if (drift.idle > DRIFT.graceSec) endDrift(true);
+  }
+}
+
+function endDrift(bank) {
+  if (bank) drift.total += Math.round(drift.points * drift.multiplier);
+  drift.flash = bank ? 1 : -1;
+  Object.assign(drift, { points: 0, time: 0, idle: 0, multiplier: 1 });
+}
+
+function updateDriveHud(dt) {
+  driveHud.boostFill.style.width = `${(playerBoost.charge * 100).toFixed(1)}%`;
+  driveHud.boostBar.classList.toggle("active", playerBoost.active);
+  driveHud.total.textContent = String(drift.total);
+  const pending = Math.round(drift.points);
+  driveHud.pending.textContent = drift.time > 0 && pending > 0 ? `+${pending} ×${drift.multiplier}` : "";
+  driveHud.total.classList.toggle("banked", drift.flash > 0);
+  driveHud.total.classList.toggle("lost", drift.flash < 0);
+  drift.flash = drift.flash > 0 ? Math.max(0, drift.flash - dt * 2) : Math.min(0, drift.flash + dt * 2);
+}
+
+// --- Respawn ---
+// Flipped (see RESPAWN), fallen out of the level, or reset by hand (R / button): back to the
+// nearest free spawn slot, passing through cars and props for a moment so it can't be rammed or
+// wedged again right away. Remote players get a "respawn" so they snap instead of sliding.
+const passThroughBodies = new Set();
+const passThroughHooks = createPassThroughHooks(RAPIER, passThroughBodies, moverHandles);
+const respawn = { flipTime: 0, lastAt: -Infinity };
+const passThroughCars = new Map(); // car mesh -> ms timestamp when protection ends
+
+function checkRespawn(dt) {
+  const rb = playerPhysics.body;
+  if (!rb || race.state === "countdown") return;
+  const r = rb.rotation();
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(tempQuat.set(r.x, r.y, r.z, r.w));
+  const v = rb.linvel();
+  const stalled = Math.hypot(v.x, v.y, v.z) < RESPAWN.flipMaxSpeed;
+  respawn.flipTime = up.y < RESPAWN.flipUp && stalled ? respawn.flipTime + dt : 0;
+  const t = rb.translation();
+  const limit = levelHalfExtent(level) + 1;
+  const lost = t.y < RESPAWN.fallBelow || Math.abs(t.x) > limit || Math.abs(t.z) > limit;
+  if (lost || respawn.flipTime > RESPAWN.flipSeconds) requestRespawn();
+}
+
+// Nearest spawn slot with no car or dynamic prop within RESPAWN.clearance.
+function findRespawnTransform() {
+  const from = car.position;
+  const probe = new RAPIER.Ball(RESPAWN.clearance);
+  const flags = RAPIER.QueryFilterFlags.EXCLUDE_FIXED | RAPIER.QueryFilterFlags.EXCLUDE_SENSORS;
+  const isFree = (pos) => {
+    let free = true;
+    world.intersectionsWithShape(pos, { x: 0, y: 0, z: 0, w: 1 }, probe, () => {
+      free = false;
+      return false;
+    }, flags, undefined, undefined, playerPhysics.body);
+    return free;
+  };
+  const slots = SAFE_SPAWN_SLOTS.map(safeSlotPosition).sort((a, b) => a.distanceToSquared(from) - b.distanceToSquared(from));
+  return { position: slots.find(isFree) || slots[0], yaw: SAFE_ZONE.yaw };
+}
+
+function requestRespawn() {
+  const now = performance.now();
+  if (!car || !playerPhysics.body || isEditing() || race.state === "countdown") return;
+  if (now - respawn.lastAt < RESPAWN.minIntervalMs) return;
+  respawn.lastAt = now;
+  respawn.flipTime = 0;
+  if (drift.time > 0) endDrift(false);
+  const online = NETWORK.mode === "online" && NETWORK.socket?.readyState === WebSocket.OPEN;
+  if (NETWORK.authority) {
+    // The server picks the slot and answers with a "respawn" for us as well.
+    if (online) NETWORK.socket.send(JSON.stringify({ type: "respawn" }));
+    return;
+  }
+  const { position, yaw } = findRespawnTransform();
+  onRespawn(NETWORK.id || "local", position, yaw);
+  if (online) {
+    NETWORK.socket.send(JSON.stringify({
+      type: "respawn",
+      p: [Number(position.x.toFixed(3)), Number(position.y.toFixed(3)), Number(position.z.toFixed(3))],
+      y: Number(yaw.toFixed(4)),
+    }));
+  }
+}
+
+function onRespawn(id, position, yaw) {
+  if (id === (NETWORK.id || "local")) {
+    teleportPlayer(position, yaw);
+    setCarPassThrough(car);
+    return;
+  }
+  const player = remotePlayers.get(id);
+  if (!player?.mesh) return;
+  player.target = { ...(player.target || {}), position: position.clone(), yaw, speed: 0 };
+  if (!player.culled) snapRemotePlayer(player, position, yaw);
+  setCarPassThrough(player.mesh);
+}
+
+function setCarPassThrough(mesh, on = true) {
+  const rb = mesh?.userData.physics?.body;
+  if (!rb) return;
+  if (on) {
+    passThroughBodies.add(rb.handle);
+    passThroughCars.set(mesh, performance.now() + RESPAWN.passThroughSeconds * 1000);
+  } else {
+    passThroughBodies.delete(rb.handle);
+    passThroughCars.delete(mesh);
+  }
+  mesh.traverse((child) => {
+    if (!child.isMesh || !child.material) return;
+    const mats = Array.isArray(child.material) ? child.material : [child.material];
+    mats.forEach((mat) => {
+      if (mat.userData.passThroughBase === undefined) {
+        mat.userData.passThroughBase = { transparent: mat.transparent, opacity: mat.opacity };
+      }
+      const base = mat.userData.passThroughBase;
+      mat.transparent = on || base.transparent;
+      mat.opacity = on ? base.opacity * 0.45 : base.opacity;
+    });
+  });
+}
+
+function updatePassThrough(now) {
+  for (const [mesh, until] of passThroughCars) {
+    if (now >= until || !mesh.parent) setCarPassThrough(mesh, false);
+  }
+}
+
+// --- Minimap ---
+// A 2D canvas redrawn a few times a second: level bounds, walls and props (from
+// colliderMetadata), remote cars in their colours and our car as an arrow. Tap it to zoom;
+// the N button switches between north-up and heading-up. Both choices are remembered.
+const MINIMAP = {
+  refreshMs: 125,
+  size: 140,          // CSS pixels
+  zoomRadius: 45,     // metres from the car to the edge when zoomed in
+  storageKey: "minicar.minimap",
+  colors: {
+    background: "rgba(8, 12, 18, 0.7)",
+    ground: "rgba(255, 255, 255, 0.06)",
+    bounds: "rgba(255, 255, 255, 0.35)",
+    wall: "rgba(200, 210, 225, 0.75)",
+    fixed: "rgba(150, 160, 175, 0.7)",
+    dynamic: "rgba(255, 200, 120, 0.8)",
+    self: "#ffffff",
+  },
+};
+const minimapCanvas = document.getElementById("minimap");
+const minimapCtx = minimapCanvas.getContext("2d");
+const minimap = { ...loadMinimapSettings(), drawnAt: 0 };
+
+function loadMinimapSettings() {
+  const saved = loadPref(MINIMAP.storageKey, {});
+  return { rotate: saved?.rotate === true, zoomed: saved?.zoomed === true };
+}
+
+function saveMinimapSettings() {
+  savePref(MINIMAP.storageKey, { rotate: minimap.rotate, zoomed: minimap.zoomed });
+  minimap.drawnAt = 0; // redraw right away
+}
+
+function carHeading(mesh) {
+  const nose = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+  return Math.atan2(nose.x, nose.z); // 0 = facing +Z
+}
+
+// Map space: +X right, -Z up (north), in metres; the transform does the rest.
+function drawMinimapMarker(ctx, x, z, heading, color, radius) {
+  ctx.save();
+  ctx.translate(x, z);
+  ctx.rotate(-heading);
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(0, radius * 1.6);
+  ctx.lineTo(radius, -radius);
+  ctx.lineTo(-radius, -radius);
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawMinimap() {
+  const ctx = minimapCtx;
+  const dpr = Math.min(window.devicePixelRatio || 1, 2);
+  const px = Math.round(MINIMAP.size * dpr);
+  if (minimapCanvas.width !== px) {
+    minimapCanvas.width = px;
+    minimapCanvas.height = px;
+  }
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, px, px);
+  ctx.fillStyle = MINIMAP.colors.background;
+  ctx.fillRect(0, 0, px, px);
+  if (!car) return;
+
+  const half = levelHalfExtent(level);
+  const radius = minimap.zoomed ? MINIMAP.zoomRadius : half * (minimap.rotate ? Math.SQRT2 : 1);
+  const scale = px / 2 / radius;
+  const centre = minimap.zoomed || minimap.rotate ? car.position : new THREE.Vector3();
+  const heading = carHeading(car);
+  ctx.translate(px / 2, px / 2);
+  if (minimap.rotate) ctx.rotate(Math.PI + heading); // car nose (+Z) points up
+  ctx.scale(scale, scale);
+  ctx.translate(-centre.x, -centre.z);
+
+  const groundHalf = level.ground.size / 2;
+  ctx.fillStyle = MINIMAP.colors.ground;
+  ctx.fillRect(-groundHalf, -groundHalf, groundHalf * 2, groundHalf * 2);
+  ctx.strokeStyle = MINIMAP.colors.bounds;
+  ctx.lineWidth = 1.5 / scale;
+  ctx.strokeRect(-groundHalf, -groundHalf, groundHalf * 2, groundHalf * 2);
+
+  colliderMetadata.forEach((meta, handle) => {
+    if (meta.type !== "wall" && meta.type !== "prop-fixed" && meta.type !== "prop-dynamic") return;
+    const collider = world.getCollider(handle);
+    if (!collider) return;
+    const t = collider.translation();
+    const r = collider.rotation();
+    const prop = meta.propId !== undefined ? props.get(meta.propId)?.prop : null;
+    ctx.fillStyle = meta.type === "wall" ? MINIMAP.colors.wall : meta.type === "prop-fixed" ? MINIMAP.colors.fixed : MINIMAP.colors.dynamic;
+    ctx.save();
+    ctx.translate(t.x, t.z);
+    ctx.rotate(-yawFromQuaternion(r));
+    if (prop?.shape === "cylinder") {
+      ctx.beginPath();
+      ctx.arc(0, 0, Math.max(prop.size[0], 0.6), 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      const e = prop ? { x: prop.size[0], z: prop.size[2] } : collider.halfExtents();
+      ctx.fillRect(-e.x, -e.z, e.x * 2, e.z * 2);
+    }
+    ctx.restore();
+  });
+
+  const markerSize = 4 / scale * dpr;
+  for (const player of remotePlayers.values()) {
+    if (!player.mesh || player.culled) continue;
+    const p = player.mesh.position;
+    drawMinimapMarker(ctx, p.x, p.z, carHeading(player.mesh), player.mesh.userData.playerColor || "#ffffff", markerSize);
+  }
+  drawMinimapMarker(ctx, car.position.x, car.position.z, heading, MINIMAP.colors.self, markerSize * 1.2);
+}
+
+function updateMinimap(now) {
+  if (now - minimap.drawnAt < MINIMAP.refreshMs) return;
+  minimap.drawnAt = now;
+  drawMinimap();
+}
+
+minimapCanvas.addEventListener("click", () => {
+  minimap.zoomed = !minimap.zoomed;
+  saveMinimapSettings();
+});
+const minimapRotate = document.getElementById("minimapRotate");
+minimapRotate.textContent = minimap.rotate ? "▲" : "N";
+minimapRotate.addEventListener("click", () => {
+  minimap.rotate = !minimap.rotate;
+  minimapRotate.textContent = minimap.rotate ? "▲" : "N";
+  saveMinimapSettings();
+});
+
+// --- HUD ---
+// Speedometer, FPS/ping and the scoreboard (Tab or the 📋 button). Online, a ping every
+// PING.intervalMs measures the round trip and carries our scores; the pong lists everyone's.
+const PING = { intervalMs: 2000, scoreboardRefreshMs: 500 };
+const hudView = createHud({ topSpeed: DRIVE.maxReverse }); // the nose-first direction is the fast one
+const netStats = { rtt: null, lastPingAt: 0, boardAt: 0, players: new Map() }; // id -> { ping, drift, lap }
+
+function sendPing(now) {
+  if (NETWORK.mode !== "online" || NETWORK.socket?.readyState !== WebSocket.OPEN) return;
+  if (now - netStats.lastPingAt < PING.intervalMs) return;
+  netStats.lastPingAt = now;
+  NETWORK.socket.send(JSON.stringify({
+    type: "ping",
+    t: now,
+    rtt: netStats.rtt,
+    drift: drift.total,
+    lap: race.state === "idle" ? 0 : race.lap,
+  }));
+}
+
+function onPong(data) {
+  netStats.rtt = Math.max(0, Math.round(performance.now() - Number(data.t)));
+  hudView.setPing(netStats.rtt);
+  netStats.players = new Map(data.players.map(([id, ping, driftScore, lap]) => [id, { ping, drift: driftScore, lap }]));
+  if (hudView.scoreboardOpen) refreshScoreboard();
+}
+
+function resetNetStats() {
+  netStats.rtt = null;
+  netStats.players.clear();
+  hudView.setPing(null);
+}
+
+function refreshScoreboard() {
+  const racing = race.state !== "idle";
+  const selfId = NETWORK.id || "local";
+  const ids = new Set([selfId, ...remotePlayers.keys(), ...netStats.players.keys()]);
+  const rows = [...ids].map((id) => {
+    const self = id === selfId;
+    const stats = netStats.players.get(id) || {};
+    const lap = self ? race.lap : stats.lap || 0;
+    const driftScore = self ? drift.total : stats.drift || 0;
+    return {
+      self,
+      name: self ? NETWORK.nickname || "Вы" : displayName(id),
+      color: PLAYER_COLORS[colorIndexFromId(id)],
+      ping: self ? netStats.rtt : stats.ping,
+      score: racing ? `${Math.min(lap, race.laps)}/${race.laps}` : String(driftScore),
+      rank: racing ? lap : driftScore,
+    };
+  });
+  rows.sort((a, b) => b.rank - a.rank);
+  hudView.setScoreboard(rows, racing ? "Круг" : "Дрифт");
+}
+
+function toggleScoreboard() {
+  if (hudView.toggleScoreboard()) refreshScoreboard();
+}
+
+function updateHud(now) {
+  hudView.frame(now);
+  hudView.setSpeed(car?.userData.lastSpeed || 0);
+  sendPing(now);
+  if (hudView.scoreboardOpen && now - netStats.boardAt > PING.scoreboardRefreshMs) {
+    netStats.boardAt = now;
+    refreshScoreboard();
+  }
+}
+
+document.getElementById("scoreToggle").addEventListener("click", () => toggleScoreboard());
+window.addEventListener("keydown", (e) => {
+  if (!isBound("scoreboard", e.code) || isTypingTarget(e.target) || isEditing()) return;
+  e.preventDefault(); // keep focus where it is
+  if (!e.repeat) toggleScoreboard();
+});
+
+// --- Audio ---
+// Everything is synthesized (src/audio.js). Browsers only start sound after a user gesture, so
+// the first tap/click/key unlocks it. M mutes; 🔊 opens the volume slider.
+const AUDIO_SETTINGS_KEY = "minicar.audio";
+const sound = createAudio({ topSpeed: DRIVE.maxReverse, ...loadAudioSettings() });
+const audioToggle = document.getElementById("audioToggle");
+const audioPanel = document.getElementById("audioPanel");
+const volumeSlider = document.getElementById("volumeSlider");
+const muteToggle = document.getElementById("muteToggle");
+const listenerForward = new THREE.Vector3();
+
+function loadAudioSettings() {
+  const saved = loadPref(AUDIO_SETTINGS_KEY, {});
+  return {
+    volume: Number.isFinite(saved?.volume) ? clamp(saved.volume, 0, 1) : 0.8,
+    muted: saved?.muted === true,
+  };
+}
+
+function saveAudioSettings() {
+  savePref(AUDIO_SETTINGS_KEY, { volume: sound.volume, muted: sound.muted });
+}
+
+function renderAudioControls() {
+  const silent = sound.muted || sound.volume === 0;
+  audioToggle.textContent = silent ? "🔇" : "🔊";
+  volumeSlider.value = String(Math.round(sound.volume * 100));
+  muteToggle.textContent = sound.muted ? "Включить звук" : "Без звука";
+}
+
+function setSoundMuted(muted) {
+  sound.setMuted(muted);
+  saveAudioSettings();
+  renderAudioControls();
+}
+
+function updateAudio() {
+  const live = car && !isEditing();
+  sound.setEngine(live ? car.userData.lastSpeed || 0 : 0, live ? Math.min(1, Math.abs(inputY) + (playerBoost.active ? 0.3 : 0)) : 0);
+  sound.setSkid(live ? car.userData.skid || 0 : 0);
+  camera.getWorldDirection(listenerForward);
+  sound.listen(camera.position, listenerForward, camera.up);
+  const cars = [];
+  for (const [id, player] of remotePlayers) {
+    if (!player.mesh || player.culled) continue;
+    cars.push({ id, position: player.mesh.position, speed: player.mesh.userData.lastSpeed || 0 });
+  }
+  sound.setRemotes(cars, camera.position);
+}
+
+for (const type of ["pointerdown", "touchend", "keydown"]) {
+  window.addEventListener(type, () => sound.unlock(), { capture: true, passive: true });
+}
+audioToggle.addEventListener("click", () => {
+  audioPanel.hidden = !audioPanel.hidden;
+});
+volumeSlider.addEventListener("input", () => {
+  sound.setVolume(Number(volumeSlider.value) / 100);
+  if (sound.muted && sound.volume > 0) sound.setMuted(false); // dragging the slider means "I want sound"
+  saveAudioSettings();
+  renderAudioControls();
+});
+muteToggle.addEventListener("click", () => setSoundMuted(!sound.muted));
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target) || e.repeat || isEditing()) return;
+  if (isBound("mute", e.code)) setSoundMuted(!sound.muted);
+});
+renderAudioControls();
+
+// --- Lights & horn ---
+function toggleLights() {
+  car?.userData.setLights?.(!car.userData.lightsOn);
+}
+
+// Others hear it too, positioned at our car (see the "horn" handler).
+function honk() {
+  if (!car) return;
+  sound.horn(car.position);
+  if (NETWORK.mode === "online" && NETWORK.socket?.readyState === WebSocket.OPEN) {
+    NETWORK.socket.send(JSON.stringify({ type: "horn" }));
+  }
+}
+
+function runGamepadActions(pressed) {
+  if (pressed.has("reset")) requestRespawn();
+  if (pressed.has("camera")) cycleCameraMode();
+  if (pressed.has("lights")) toggleLights();
+  if (pressed.has("horn")) honk();
+}
+
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target) || e.repeat || isEditing()) return;
+  if (isBound("lights", e.code)) toggleLights();
+  else if (isBound("horn", e.code)) honk();
+});
+
+document.getElementById("resetButton").addEventListener("click", () => requestRespawn());
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target) || e.repeat || isEditing()) return;
+  if (isBound("reset", e.code)) requestRespawn();
+});
 
 function spawnImpact(origin, strength) {
   const count = Math.min(32, 12 + Math.floor(strength * 10));
@@ -1406,78 +4078,49 @@ function applyPlayerForces(dt) {
   const rb = playerPhysics.body;
   if (!car || !rb) return;
 
-  // Prefer joystick; if idle, use keyboard.
-  let ax = joyX;
-  let ay = joyY;
-  if (joyActive && isCoarsePointer) {
-    ax = joyX; // invert turn handling globally to keep on-screen directions natural
-    ay = -joyY;
+  let ax = controls.x;
+  let ay = controls.y;
+  const actions = { handbrake: controls.handbrake, boost: controls.boost };
+  if (race.state === "countdown") {
+    ax = 0; // held on the grid until the green light
+    ay = 0;
+    actions.boost = false;
   }
-  if ((!joyActive || !isCoarsePointer) && ax === 0 && ay === 0) {
-    const k = keyboardAxes();
-    ax = k.x;
-    ay = k.y;
-  }
-
-  const DEADZONE = 0.06;
-  if (Math.abs(ax) < DEADZONE) ax = 0;
-  if (Math.abs(ay) < DEADZONE) ay = 0;
-
-  const INPUT_ACCEL = 6.0;
-  inputX = approach(inputX, ax, INPUT_ACCEL * dt);
-  inputY = approach(inputY, ay, INPUT_ACCEL * dt);
+  playerInput.x = ax;
+  playerInput.y = ay;
+  playerInput.h = actions.handbrake;
+  playerInput.b = actions.boost;
+  const mods = { handbrake: actions.handbrake, boost: updateBoost(playerBoost, actions.boost, dt) };
+
+  inputX = approach(inputX, ax, DRIVE.inputAccel * dt);
+  inputY = approach(inputY, ay, DRIVE.inputAccel * dt);
   ax = inputX;
   ay = inputY;
 
-  const rot = rb.rotation();
-  tempQuat.set(rot.x, rot.y, rot.z, rot.w);
-  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(tempQuat).normalize();
-  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(tempQuat).normalize();
-  const velocity = rb.linvel();
-  const vel = new THREE.Vector3(velocity.x, velocity.y, velocity.z);
-  const speedAlong = vel.dot(forward);
-
-  // Engine impulse
-  const engine = forward.clone().multiplyScalar(ay * DRIVE.engineImpulse);
-  rb.applyImpulse(engine, true);
-
-  // Steering torque (stronger at medium speeds)
-  const speedFactor = clamp(Math.abs(speedAlong) / DRIVE.maxSpeed, 0, 1);
-  const torqueScale = 0.45 + speedFactor * 0.55;
-  const steerSign = speedAlong < -0.45 ? -1 : 1; // flip when reversing to match joystick feel
-  rb.applyTorqueImpulse({ x: 0, y: -ax * steerSign * DRIVE.steerTorque * torqueScale, z: 0 }, true);
+  syncVehicleController();
+  const { wheelAnchors, wheelReach } = car.userData.physics;
+  const { right, speedAlong, sideSpeed, grounded } = vehicle.controller
+    ? applyVehicleDrive(rb, ax, ay, dt, mods)
+    : applyDriveForces(rb, ax, ay, countGroundedWheels(RAPIER, world, rb, wheelAnchors, wheelReach) > 0, mods);
 
-  // Toy-like sideways grip cheat
-  const sideSpeed = vel.dot(right);
-  const sideMagnitude = Math.abs(sideSpeed);
-  if (sideMagnitude > 0.02) {
-    const gripScale = clamp(sideMagnitude / 6.5, 0.25, 1); // lower = smoother snaps, higher = tighter drift kill
-    const sideImpulse = right.clone().multiplyScalar(-sideSpeed * DRIVE.sideGrip * gripScale);
-    rb.applyImpulse(sideImpulse, true);
-  }
-
-  // Extra yaw/roll stabilizer to keep toy car planted
-  const ang = rb.angvel();
-  if (Math.abs(ang.x) + Math.abs(ang.y) + Math.abs(ang.z) > 0.01) {
-    rb.applyTorqueImpulse({ x: -ang.x * 0.035, y: -ang.y * 0.08, z: -ang.z * 0.035 }, true);
-  }
-
-  const speed = vel.length();
-  const forwardMax = speedAlong >= 0 ? DRIVE.maxSpeed : DRIVE.maxReverse;
-  if (speed > forwardMax + 0.35) {
-    const over = speed - forwardMax;
-    const clampFactor = over * DRIVE.speedClamp;
-    const clampImpulse = vel.clone().normalize().multiplyScalar(clampFactor);
-    rb.applyImpulse(clampImpulse.multiplyScalar(-1), true);
+  // Landing after a jump: dust and a bump proportional to the hang time.
+  if (grounded && airTime > AIRBORNE.landingMinTime) {
+    const pos = rb.translation();
+    spawnImpact(new THREE.Vector3(pos.x, pos.y + 0.05, pos.z), clamp(airTime * AIRBORNE.landingScale, 0.3, 1.6));
   }
+  airTime = grounded ? 0 : airTime + dt;
 
-  // Skid dust
-  if (skidCooldown <= 0 && Math.abs(sideSpeed) > DRIVE.skidSideThreshold && Math.abs(speedAlong) > DRIVE.skidMinSpeed) {
+  // Skid dust (and the tyre squeal, which follows the same threshold)
+  const skidding = grounded && Math.abs(sideSpeed) > DRIVE.skidSideThreshold && Math.abs(speedAlong) > DRIVE.skidMinSpeed;
+  const skidIntensity = skidding ? clamp(Math.abs(sideSpeed) / 8, 0.2, 1) : 0;
+  if (skidding && skidCooldown <= 0) {
     const pos = rb.translation();
-    spawnSkid(new THREE.Vector3(pos.x, pos.y + 0.05, pos.z), right.clone(), clamp(Math.abs(sideSpeed) / 8, 0.2, 1));
+    spawnSkid(new THREE.Vector3(pos.x, pos.y + 0.05, pos.z), new THREE.Vector3(right.x, right.y, right.z), skidIntensity);
     skidCooldown = 0.08;
   }
+  car.userData.skid = skidIntensity;
   skidCooldown = Math.max(0, skidCooldown - dt);
+  updateDrift(dt, sideSpeed, speedAlong, grounded);
 
   car.userData.lastSpeed = speedAlong;
   car.userData.lastTargetSpeed = ay * (ay >= 0 ? DRIVE.maxSpeed : DRIVE.maxReverse);
@@ -1523,6 +4166,7 @@ function syncPhysicsToMeshes(alpha = 1) {
       const rollDelta = (speed / (car.userData.wheelRadius || 1)) * lastPhysicsDt;
       const steerVisual = clamp(-inputX, -1, 1) * (Math.PI / 7);
       applyWheelPose(car, steerVisual, rollDelta);
+      applyWheelSuspension(car);
     }
   });
 }
@@ -1530,17 +4174,28 @@ function syncPhysicsToMeshes(alpha = 1) {
 function processCollisions() {
   eventQueue.drainCollisionEvents((h1, h2, started) => {
     if (!started) return;
+    const gate = colliderMetadata.get(h1)?.gate ?? colliderMetadata.get(h2)?.gate;
+    if (gate !== undefined) {
+      // Checkpoint sensor: only our own car counts, and it never makes sparks.
+      const playerHandle = playerPhysics.collider?.handle;
+      if (h1 === playerHandle || h2 === playerHandle) onGateCrossed(gate);
+      return;
+    }
     const c1 = world.getCollider(h1);
     const c2 = world.getCollider(h2);
     const rb1 = c1 ? world.getRigidBody(c1.parent()) : null;
     const rb2 = c2 ? world.getRigidBody(c2.parent()) : null;
     if (!rb1 || !rb2) return;
+    claimTouchedProp(c1, c2);
 
     const v1 = rb1.linvel();
     const v2 = rb2.linvel();
     const relVel = new THREE.Vector3(v1.x - v2.x, v1.y - v2.y, v1.z - v2.z);
     const impactStrength = clamp(relVel.length() * 0.16, 0, 2);
     if (impactStrength < 0.18) return;
+    const playerHit = h1 === playerPhysics.collider?.handle || h2 === playerPhysics.collider?.handle;
+    if (playerHit && drift.time > 0 && impactStrength > DRIFT.crashImpact) endDrift(false);
+    if (playerHit) gamepad.rumble(impactStrength / 2);
 
     let contactPoint = new THREE.Vector3();
     const pair = world.contactPair(c1, c2);
@@ -1557,15 +4212,199 @@ function processCollisions() {
       contactPoint.set((t1.x + t2.x) / 2, (t1.y + t2.y) / 2, (t1.z + t2.z) / 2);
     }
     spawnImpact(contactPoint, impactStrength);
+    sound.impact(impactStrength, contactPoint);
+  });
+}
+
+// --- Camera modes ---
+// C cycles the view, X spectates the next remote player (and finally back to our own car).
+// The view is remembered; spectating is not.
+const CAMERA_MODES = {
+  chase: "Погоня",
+  far: "Дальняя",
+  hood: "Бампер",
+  top: "Сверху",
+  orbit: "Облёт",
+  cinematic: "Кино",
+};
+const CAMERA_MODE_KEY = "minicar.cameraMode";
+const cameraView = {
+  mode: loadCameraMode(),
+  spectating: null, // remote player id
+  orbitYaw: Math.PI,
+  orbitPitch: 0.45,
+  orbitDistance: CAMERA.orbit.distance,
+  pointers: new Map(), // orbit drag/pinch: pointerId -> { x, y }
+  pinch: 0,
+};
+const cinema = { level: null, points: [], current: -1, since: 0 };
+
+function loadCameraMode() {
+  const saved = loadPref(CAMERA_MODE_KEY, "chase");
+  return saved in CAMERA_MODES ? saved : "chase";
+}
+
+function setCameraMode(mode) {
+  if (!(mode in CAMERA_MODES)) return;
+  cameraView.mode = mode;
+  cinema.current = -1;
+  savePref(CAMERA_MODE_KEY, mode);
+  showRaceBanner(CAMERA_MODES[mode], { ms: 900 });
+}
+
+function cycleCameraMode() {
+  const modes = Object.keys(CAMERA_MODES);
+  setCameraMode(modes[(modes.indexOf(cameraView.mode) + 1) % modes.length]);
+}
+
+function spectateNext() {
+  const ids = [...remotePlayers.keys()].filter((id) => remotePlayers.get(id).mesh);
+  if (!ids.length && !cameraView.spectating) {
+    showRaceBanner("Некого смотреть", { ms: 1200 });
+    return;
+  }
+  const next = ids[ids.indexOf(cameraView.spectating) + 1] ?? null;
+  cameraView.spectating = next;
+  showRaceBanner(next ? `Наблюдение: ${displayName(next)}` : "Своя машина", { ms: 1200 });
+}
+
+// The spectated car while it is around and in view, otherwise our own.
+function cameraTarget() {
+  const player = cameraView.spectating ? remotePlayers.get(cameraView.spectating) : null;
+  if (player?.mesh && !player.culled) return player.mesh;
+  if (cameraView.spectating && !player) cameraView.spectating = null; // they left
+  return car;
+}
+
+function cinematicSpot(target, now) {
+  if (cinema.level !== level) {
+    const { points, ringScale, height } = CAMERA.cinematic;
+    const radius = levelHalfExtent(level) * ringScale;
+    cinema.points = Array.from({ length: points }, (_, i) => {
+      const angle = (i / points) * Math.PI * 2;
+      const x = Math.cos(angle) * radius;
+      const z = Math.sin(angle) * radius;
+      return new THREE.Vector3(x, height + levelHeightAt(level, x, z), z);
+    });
+    cinema.level = level;
+    cinema.current = -1;
+  }
+  let nearest = 0;
+  cinema.points.forEach((p, i) => {
+    if (p.distanceToSquared(target.position) < cinema.points[nearest].distanceToSquared(target.position)) nearest = i;
   });
+  const current = cinema.points[cinema.current];
+  const stale = !current || current.distanceTo(target.position) > CAMERA.cinematic.maxDistance || now - cinema.since > CAMERA.cinematic.holdMs;
+  if (stale) {
+    cinema.current = nearest; // a hard cut, like a TV director
+    cinema.since = now;
+  }
+  return cinema.points[cinema.current];
+}
+
+// Orbit: drag to turn, pinch or wheel to zoom.
+function orbitZoom(factor) {
+  const { minDistance, maxDistance } = CAMERA.orbit;
+  cameraView.orbitDistance = clamp(cameraView.orbitDistance * factor, minDistance, maxDistance);
+}
+
+function pinchSpan() {
+  const [a, b] = [...cameraView.pointers.values()];
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+renderer.domElement.addEventListener("pointerdown", (e) => {
+  if (isEditing() || cameraView.mode !== "orbit") return;
+  cameraView.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (cameraView.pointers.size === 2) cameraView.pinch = pinchSpan();
+  renderer.domElement.setPointerCapture(e.pointerId);
+});
+
+renderer.domElement.addEventListener("pointermove", (e) => {
+  const last = cameraView.pointers.get(e.pointerId);
+  if (!last || isEditing()) return;
+  const dx = e.clientX - last.x;
+  const dy = e.clientY - last.y;
+  last.x = e.clientX;
+  last.y = e.clientY;
+  if (cameraView.pointers.size >= 2) {
+    const span = pinchSpan();
+    if (cameraView.pinch > 0 && span > 0) orbitZoom(cameraView.pinch / span);
+    cameraView.pinch = span;
+    return;
+  }
+  const { minPitch, maxPitch, dragSpeed } = CAMERA.orbit;
+  cameraView.orbitYaw -= dx * dragSpeed;
+  cameraView.orbitPitch = clamp(cameraView.orbitPitch + dy * dragSpeed, minPitch, maxPitch);
+});
+
+function endOrbitPointer(e) {
+  cameraView.pointers.delete(e.pointerId);
+  cameraView.pinch = 0;
 }
+renderer.domElement.addEventListener("pointerup", endOrbitPointer);
+renderer.domElement.addEventListener("pointercancel", endOrbitPointer);
+
+renderer.domElement.addEventListener("wheel", (e) => {
+  if (isEditing() || cameraView.mode !== "orbit") return;
+  e.preventDefault();
+  orbitZoom(e.deltaY > 0 ? 1.1 : 1 / 1.1);
+}, { passive: false });
+
+document.getElementById("cameraToggle").addEventListener("click", () => cycleCameraMode());
+document.getElementById("spectateToggle").addEventListener("click", () => spectateNext());
+window.addEventListener("keydown", (e) => {
+  if (isTypingTarget(e.target) || e.repeat || isEditing()) return;
+  if (isBound("camera", e.code)) cycleCameraMode();
+  else if (isBound("spectate", e.code)) spectateNext();
+});
 
 function updateCamera(dt) {
-  if (!car) return;
-  const desired = CAMERA.offset.clone().applyQuaternion(car.quaternion).add(car.position);
-  camera.position.lerp(desired, 1 - Math.pow(0.001, dt));
+  const target = cameraTarget();
+  if (!target) return;
+  const follow = 1 - Math.pow(0.001, dt);
+  let fov = CAMERA.fov;
+  let look;
   camera.up.set(0, 1, 0);
-  const look = CAMERA.lookAhead.clone().applyQuaternion(car.quaternion).add(car.position);
+
+  if (cameraView.mode === "hood") {
+    // Bolted to the car: any lag would show as the bonnet swimming in view.
+    camera.position.copy(CAMERA.hood.offset).applyQuaternion(target.quaternion).add(target.position);
+    look = CAMERA.hood.lookAhead.clone().applyQuaternion(target.quaternion).add(target.position);
+  } else if (cameraView.mode === "top") {
+    const desired = target.position.clone();
+    desired.y += CAMERA.top.height;
+    camera.position.lerp(desired, follow);
+    camera.up.set(0, 0, -1); // north (-Z) is up on screen
+    look = new THREE.Vector3(camera.position.x, target.position.y, camera.position.z);
+  } else if (cameraView.mode === "orbit") {
+    const { orbitYaw, orbitPitch, orbitDistance } = cameraView;
+    const pivot = target.position.clone();
+    pivot.y += 1;
+    const cp = Math.cos(orbitPitch);
+    camera.position.set(
+      pivot.x + Math.sin(orbitYaw) * cp * orbitDistance,
+      pivot.y + Math.sin(orbitPitch) * orbitDistance,
+      pivot.z + Math.cos(orbitYaw) * cp * orbitDistance
+    );
+    look = pivot;
+  } else if (cameraView.mode === "cinematic") {
+    camera.position.copy(cinematicSpot(target, performance.now()));
+    look = target.position.clone();
+    look.y += 0.6;
+    const dist = camera.position.distanceTo(look);
+    fov = clamp(THREE.MathUtils.radToDeg(2 * Math.atan(CAMERA.cinematic.frame / dist)), CAMERA.cinematic.minFov, CAMERA.fov);
+  } else {
+    const rig = cameraView.mode === "far" ? CAMERA.far : CAMERA;
+    const desired = rig.offset.clone().applyQuaternion(target.quaternion).add(target.position);
+    camera.position.lerp(desired, follow);
+    look = rig.lookAhead.clone().applyQuaternion(target.quaternion).add(target.position);
+  }
+
+  if (camera.fov !== fov) {
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+  }
 
   if (cameraShake > 0.0001) {
     const shakeVec = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
@@ -1581,8 +4420,10 @@ function updateCamera(dt) {
 function stepPhysics(dt) {
   lastPhysicsDt = dt;
   applyPlayerForces(dt);
-  world.step(eventQueue);
+  checkRespawn(dt);
+  world.step(eventQueue, passThroughHooks);
   processCollisions();
+  recordGhostFrame();
 }
 
 function updateParticles(dt) {
@@ -1594,8 +4435,11 @@ function tick(now) {
   const dt = Math.min((now - last) / 1000, 0.05);
   last = now;
   accumulator = Math.min(accumulator + dt, MAX_ACCUM);
+  readControls();
 
-  if (accumulator >= FIXED_DT) {
+  if (isEditing()) {
+    accumulator = 0; // the world holds still while it is being edited
+  } else if (accumulator >= FIXED_DT) {
     capturePreviousTransforms();
     while (accumulator >= FIXED_DT) {
       stepPhysics(FIXED_DT);
@@ -1607,7 +4451,8 @@ function tick(now) {
   syncPhysicsToMeshes(alpha);
 
   const blendDt = dt; // rendering dt for visuals
-  updateCamera(blendDt);
+  if (isEditing()) updateEditorCamera(blendDt);
+  else updateCamera(blendDt);
 
   const rearStatus = updateRearLights(
     car?.userData.rearLights,
@@ -1625,22 +4470,35 @@ function tick(now) {
   }
 
   updateRemotePlayers(blendDt);
+  updatePassThrough(now);
+  updateMinimap(now);
+  updateHud(now);
+  updateAudio();
+  updateRace();
+  updateDriveHud(blendDt);
 
   if (NETWORK.mode === "online") {
     sendStateSnapshot();
+    if (propSyncActive()) sendPropStates();
   }
 
   updateParticles(blendDt);
   renderer.render(scene, camera);
+  updateBubbles();
   requestAnimationFrame(tick);
 }
 
 async function startGame() {
-  makeGroundAndBounds();
-  spawnProps(20);
+  await loadStartLevel();
+  spawnProps();
   await setupPlayerCar();
-  initNetwork();
   requestAnimationFrame(tick);
+  if (EDITOR_PARAM) {
+    openEditor(); // offline only: the edited level exists on this machine alone
+    return;
+  }
+  await askNickname();
+  initNetwork();
 }
 startGame();
 
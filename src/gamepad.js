@@ -0,0 +1,125 @@
+// Gamepad API input, polled once per frame. Reports analog steering/throttle in the same
+// convention as keyboardAxes() in game.js, held drive buttons, and actions (and raw buttons, for
+// remapping) pressed since the last poll. Button numbers follow the browser's "standard"
+// mapping (Xbox layout names).
+export const GAMEPAD_DEFAULTS = {
+  handbrake: 0, // A
+  horn: 1,      // B
+  lights: 2,    // X
+  camera: 3,    // Y
+  boost: 5,     // RB
+  reset: 8,     // Back / View
+};
+export const GAMEPAD_BUTTON_NAMES = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "L3", "R3", "↑", "↓", "←", "→", "Home"];
+const PAD = {
+  steerAxis: 0,     // left stick X
+  brakeButton: 6,   // LT
+  throttleButton: 7, // RT
+  triggerDeadzone: 0.05,
+  rumbleGapMs: 120,
+};
+const HELD = ["handbrake", "boost"];
+
+// Radial deadzone, rescaled so the output still starts at 0 and reaches 1.
+function applyDeadzone(value, deadzone) {
+  const size = Math.abs(value);
+  if (size <= deadzone) return 0;
+  return Math.sign(value) * Math.min(1, (size - deadzone) / (1 - deadzone));
+}
+
+function buttonValue(button) {
+  if (!button) return 0;
+  return typeof button.value === "number" ? button.value : button.pressed ? 1 : 0;
+}
+
+// `invert` = { steer, throttle } flips the axes for players who find them backwards.
+export function createGamepad({ deadzone = 0.15, bindings = GAMEPAD_DEFAULTS, invert = {} } = {}) {
+  let activeIndex = null; // the pad that last had any input
+  let pad = null; // its snapshot from the latest poll (Chrome hands out new objects each call)
+  let lastRumbleAt = 0;
+  const wasPressed = new Map(); // pad index -> Set of button numbers held at the last poll
+  const state = { connected: false, x: 0, y: 0, handbrake: false, boost: false, pressed: new Set(), buttons: new Set() };
+  const config = { deadzone, bindings: { ...bindings }, invert: { ...invert } };
+
+  function padActive(p) {
+    return p.buttons.some((b) => buttonValue(b) > PAD.triggerDeadzone) ||
+      Math.abs(p.axes[PAD.steerAxis] || 0) > config.deadzone;
+  }
+
+  function poll() {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    state.connected = pads.length > 0;
+    state.pressed.clear();
+    state.buttons.clear();
+    for (const p of pads) {
+      const held = new Set();
+      p.buttons.forEach((b, i) => {
+        if (b.pressed) held.add(i);
+      });
+      const before = wasPressed.get(p.index) || new Set();
+      for (const index of held) {
+        if (!before.has(index)) state.buttons.add(index);
+      }
+      for (const [action, index] of Object.entries(config.bindings)) {
+        if (HELD.includes(action)) continue;
+        if (held.has(index) && !before.has(index)) state.pressed.add(action);
+      }
+      wasPressed.set(p.index, held);
+      if (padActive(p)) activeIndex = p.index;
+    }
+    pad = pads.find((p) => p.index === activeIndex) || pads[0] || null;
+    if (!pad) {
+      state.x = state.y = 0;
+      state.handbrake = state.boost = false;
+      return state;
+    }
+    // Triggers give analog throttle/brake; LT doubles as reverse like the S key.
+    const throttle = buttonValue(pad.buttons[PAD.throttleButton]);
+    const brake = buttonValue(pad.buttons[PAD.brakeButton]);
+    const x = -applyDeadzone(pad.axes[PAD.steerAxis] || 0, config.deadzone);
+    const y = (brake > PAD.triggerDeadzone ? brake : 0) - (throttle > PAD.triggerDeadzone ? throttle : 0);
+    state.x = config.invert.steer ? -x : x;
+    state.y = config.invert.throttle ? -y : y;
+    state.handbrake = Boolean(pad.buttons[config.bindings.handbrake]?.pressed);
+    state.boost = Boolean(pad.buttons[config.bindings.boost]?.pressed);
+    return state;
+  }
+
+  // `strength` 0..1. Silently does nothing on pads/browsers without vibration.
+  function rumble(strength, ms = 140) {
+    const now = performance.now();
+    if (!pad || now - lastRumbleAt < PAD.rumbleGapMs) return;
+    lastRumbleAt = now;
+    const level = Math.min(1, Math.max(0, strength));
+    const actuator = pad.vibrationActuator;
+    if (actuator?.playEffect) {
+      actuator.playEffect("dual-rumble", { duration: ms, strongMagnitude: level, weakMagnitude: level * 0.6 }).catch(() => {});
+    } else {
+      pad.hapticActuators?.[0]?.pulse?.(level, ms);
+    }
+  }
+
+  function setDeadzone(value) {
+    config.deadzone = Math.min(0.6, Math.max(0, value));
+  }
+
+  function setBindings(next) {
+    config.bindings = { ...next };
+  }
+
+  function setInvert(next) {
+    config.invert = { ...next };
+  }
+
+  return {
+    poll,
+    rumble,
+    setDeadzone,
+    setBindings,
+    setInvert,
+    state,
+    get deadzone() {
+      return config.deadzone;
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// HUD widgets: speedometer with gear, FPS/ping line and the scoreboard. They only render what
+// game.js hands them; nothing here touches the scene, physics or the network.
+const HUD = {
+  statsRefreshMs: 500,
+  gears: 5,         // fake gearbox: the forward speed range split evenly
+  idleSpeed: 0.3,   // below this the car counts as standing (N)
+  kmh: 3.6,
+};
+
+// `topSpeed` is the forward top speed in m/s, used to pick the gear.
+export function createHud({ topSpeed }) {
+  const el = {
+    speed: document.getElementById("speedValue"),
+    gear: document.getElementById("speedGear"),
+    stats: document.getElementById("hudStats"),
+    scoreboard: document.getElementById("scoreboard"),
+    scoreLabel: document.getElementById("scoreboardScore"),
+    rows: document.getElementById("scoreboardBody"),
+  };
+  const shown = { speed: "", gear: "" };
+  let frames = 0;
+  let fpsSince = performance.now();
+  let fps = 0;
+  let ping = null;
+
+  function renderStats() {
+    el.stats.textContent = ping === null ? `${fps} FPS` : `${fps} FPS · ${ping} мс`;
+  }
+
+  // Call once per rendered frame.
+  function frame(now) {
+    frames++;
+    if (now - fpsSince < HUD.statsRefreshMs) return;
+    fps = Math.round((frames * 1000) / (now - fpsSince));
+    frames = 0;
+    fpsSince = now;
+    renderStats();
+  }
+
+  function setPing(ms) {
+    ping = Number.isFinite(ms) ? Math.round(ms) : null;
+    renderStats();
+  }
+
+  // `speedAlong` is along the physics forward axis (-Z); the car's nose is +Z, so driving
+  // forward reads negative and reversing positive.
+  function setSpeed(speedAlong) {
+    const speed = Math.abs(speedAlong);
+    let gear = "N";
+    if (speed >= HUD.idleSpeed) {
+      gear = speedAlong > 0 ? "R" : String(Math.min(HUD.gears, 1 + Math.floor((speed / topSpeed) * HUD.gears)));
+    }
+    const text = String(Math.round(speed * HUD.kmh));
+    if (text !== shown.speed) el.speed.textContent = shown.speed = text;
+    if (gear !== shown.gear) {
+      el.gear.textContent = shown.gear = gear;
+      el.gear.classList.toggle("reverse", gear === "R");
+    }
+  }
+
+  // rows: [{ name, color, ping, score, self }]; `scoreLabel` heads the mode-specific column.
+  function setScoreboard(rows, scoreLabel) {
+    el.scoreLabel.textContent = scoreLabel;
+    el.rows.replaceChildren(...rows.map((row) => {
+      const tr = document.createElement("tr");
+      if (row.self) tr.className = "self";
+      const name = document.createElement("td");
+      const swatch = document.createElement("span");
+      swatch.className = "score-swatch";
+      swatch.style.background = row.color;
+      name.append(swatch, row.name);
+      const pingCell = document.createElement("td");
+      pingCell.textContent = Number.isFinite(row.ping) ? `${row.ping} мс` : "—";
+      const score = document.createElement("td");
+      score.textContent = row.score;
+      tr.append(name, pingCell, score);
+      return tr;
+    }));
+  }
+
+  function toggleScoreboard(open = el.scoreboard.hidden) {
+    el.scoreboard.hidden = !open;
+    return open;
+  }
+
+  return {
+    frame,
+    setPing,
+    setSpeed,
+    setScoreboard,
+    toggleScoreboard,
+    get scoreboardOpen() {
+      return !el.scoreboard.hidden;
+    },
+  };
+}
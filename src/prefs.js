@@ -0,0 +1,25 @@
+// Saved player choices (nickname, camera, audio, minimap, controls…), one JSON value per
+// localStorage key. Storage may be missing or throw (private mode, disabled cookies): loads then
+// give the fallback and saves are dropped, so the choice just won't survive a reload.
+export function loadPref(key, fallback) {
+  let saved;
+  try {
+    saved = localStorage.getItem(key);
+  } catch {
+    return fallback;
+  }
+  if (saved === null) return fallback;
+  try {
+    return JSON.parse(saved);
+  } catch {
+    return saved; // a plain string from before prefs were JSON; callers validate either way
+  }
+}
+
+export function savePref(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage unavailable (see above).
+  }
+}
@@ -0,0 +1,291 @@
+// Control settings (key/gamepad bindings, axis inversion, deadzone, touch joystick layout) and
+// the ⚙️ menu that edits them. Everything lives in one localStorage entry; game.js applies it.
+import { GAMEPAD_DEFAULTS, GAMEPAD_BUTTON_NAMES } from "./gamepad.js";
+import { loadPref, savePref } from "./prefs.js";
+
+const STORAGE_KEY = "minicar.settings";
+
+export const KEY_ACTIONS = {
+  forward: "Газ",
+  back: "Тормоз / назад",
+  left: "Влево",
+  right: "Вправо",
+  handbrake: "Ручник",
+  boost: "Ускорение",
+  reset: "Сброс машины",
+  camera: "Камера",
+  spectate: "Наблюдать",
+  lights: "Фары",
+  horn: "Гудок",
+  scoreboard: "Таблица игроков",
+  race: "Гонка",
+  driveModel: "Модель езды",
+  mute: "Звук вкл/выкл",
+  chat: "Чат",
+  emote: "Эмоции",
+};
+const PAD_ACTIONS = ["handbrake", "boost", "reset", "camera", "lights", "horn"];
+const DEVICES = ["keyboard", "touch", "gamepad"];
+const KEY_SLOTS = 2;
+// Never bindable: Escape/Backspace/Delete steer the capture itself (and close chat/editor),
+// and P toggles the editor's test drive, which is driven with these same bindings.
+const RESERVED_CODES = ["Escape", "Backspace", "Delete", "KeyP"];
+
+export const SETTINGS_DEFAULTS = {
+  keys: {
+    forward: ["KeyW", "ArrowUp"],
+    back: ["KeyS", "ArrowDown"],
+    left: ["KeyA", "ArrowLeft"],
+    right: ["KeyD", "ArrowRight"],
+    handbrake: ["Space"],
+    boost: ["ShiftLeft", "ShiftRight"],
+    reset: ["KeyR"],
+    camera: ["KeyC"],
+    spectate: ["KeyX"],
+    lights: ["KeyL"],
+    horn: ["KeyH"],
+    scoreboard: ["Tab"],
+    race: ["KeyT"],
+    driveModel: ["KeyK"],
+    mute: ["KeyM"],
+    chat: ["Enter", "NumpadEnter"],
+    emote: ["KeyG"],
+  },
+  pad: { ...GAMEPAD_DEFAULTS },
+  deadzone: 0.15,
+  // Flips relative to each device's usual mapping.
+  invert: {
+    keyboard: { steer: false, throttle: false },
+    touch: { steer: false, throttle: false },
+    gamepad: { steer: false, throttle: false },
+  },
+  joystick: { size: 150, x: null, lift: 0 }, // px; x = % from the left edge, null = layout default
+};
+const LIMITS = { deadzone: [0, 0.6], size: [100, 220], x: [10, 90], lift: [0, 160] };
+
+function clampTo([min, max], value) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Saved values over the defaults, each checked on its own so one bad field doesn't reset the rest.
+function mergeSettings(saved) {
+  const out = structuredClone(SETTINGS_DEFAULTS);
+  for (const action of Object.keys(KEY_ACTIONS)) {
+    const codes = saved?.keys?.[action];
+    if (!Array.isArray(codes)) continue;
+    out.keys[action] = codes.filter((code) => typeof code === "string" && code && !RESERVED_CODES.includes(code)).slice(0, KEY_SLOTS);
+  }
+  for (const action of PAD_ACTIONS) {
+    const index = saved?.pad?.[action];
+    if (Number.isInteger(index) && index >= 0 && index < GAMEPAD_BUTTON_NAMES.length) out.pad[action] = index;
+  }
+  if (Number.isFinite(saved?.deadzone)) out.deadzone = clampTo(LIMITS.deadzone, saved.deadzone);
+  for (const device of DEVICES) {
+    for (const axis of ["steer", "throttle"]) {
+      if (typeof saved?.invert?.[device]?.[axis] === "boolean") out.invert[device][axis] = saved.invert[device][axis];
+    }
+  }
+  const joy = saved?.joystick;
+  if (Number.isFinite(joy?.size)) out.joystick.size = clampTo(LIMITS.size, joy.size);
+  if (Number.isFinite(joy?.x)) out.joystick.x = clampTo(LIMITS.x, joy.x);
+  if (Number.isFinite(joy?.lift)) out.joystick.lift = clampTo(LIMITS.lift, joy.lift);
+  return out;
+}
+
+export function loadSettings() {
+  return mergeSettings(loadPref(STORAGE_KEY, {}));
+}
+
+const KEY_NAMES = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Space: "Пробел",
+  ShiftLeft: "Shift",
+  ShiftRight: "Правый Shift",
+  ControlLeft: "Ctrl",
+  ControlRight: "Правый Ctrl",
+  AltLeft: "Alt",
+  AltRight: "Правый Alt",
+  Enter: "Enter",
+};
+
+function keyLabel(code) {
+  if (!code) return "—";
+  return KEY_NAMES[code] || code.replace(/^Key|^Digit/, "").replace(/^Numpad/, "Num ");
+}
+
+// `settings` is edited in place; `onChange(settings)` runs after every edit (already saved).
+export function createSettingsMenu({ settings, onChange }) {
+  const el = {
+    panel: document.getElementById("settingsPanel"),
+    keys: document.getElementById("settingsKeys"),
+    pad: document.getElementById("settingsPad"),
+    deadzone: document.getElementById("settingsDeadzone"),
+    joySize: document.getElementById("settingsJoySize"),
+    joyX: document.getElementById("settingsJoyX"),
+    joyAuto: document.getElementById("settingsJoyAuto"),
+    joyLift: document.getElementById("settingsJoyLift"),
+    invert: [...document.querySelectorAll("#settingsPanel [data-invert]")],
+  };
+  let capture = null; // { kind: "key" | "pad", action, slot }
+
+  function commit() {
+    savePref(STORAGE_KEY, settings);
+    onChange(settings);
+    render();
+  }
+
+  function bindingButton(text, waiting, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "binding";
+    button.classList.toggle("waiting", waiting);
+    button.textContent = waiting ? "…" : text;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function startCapture(kind, action, slot = 0) {
+    capture = { kind, action, slot };
+    render();
+  }
+
+  function render() {
+    el.keys.replaceChildren(...Object.entries(KEY_ACTIONS).map(([action, label]) => {
+      const tr = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = label;
+      tr.append(name);
+      for (let slot = 0; slot < KEY_SLOTS; slot++) {
+        const waiting = capture?.kind === "key" && capture.action === action && capture.slot === slot;
+        const cell = document.createElement("td");
+        cell.append(bindingButton(keyLabel(settings.keys[action][slot]), waiting, () => startCapture("key", action, slot)));
+        tr.append(cell);
+      }
+      return tr;
+    }));
+    el.pad.replaceChildren(...PAD_ACTIONS.map((action) => {
+      const tr = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = KEY_ACTIONS[action];
+      const cell = document.createElement("td");
+      const waiting = capture?.kind === "pad" && capture.action === action;
+      cell.append(bindingButton(GAMEPAD_BUTTON_NAMES[settings.pad[action]], waiting, () => startCapture("pad", action)));
+      tr.append(name, cell);
+      return tr;
+    }));
+    el.deadzone.value = String(Math.round(settings.deadzone * 100));
+    el.joySize.value = String(settings.joystick.size);
+    el.joyAuto.checked = settings.joystick.x === null;
+    el.joyX.disabled = settings.joystick.x === null;
+    el.joyX.value = String(settings.joystick.x ?? 50);
+    el.joyLift.value = String(settings.joystick.lift);
+    for (const box of el.invert) {
+      const [device, axis] = box.dataset.invert.split(".");
+      box.checked = settings.invert[device][axis];
+    }
+  }
+
+  // A key can drive only one action: taking it here frees it elsewhere.
+  function assignKey(code) {
+    const { action, slot } = capture;
+    for (const codes of Object.values(settings.keys)) {
+      const taken = codes.indexOf(code);
+      if (taken !== -1) codes.splice(taken, 1);
+    }
+    const codes = settings.keys[action];
+    if (slot < codes.length) codes[slot] = code;
+    else codes.push(code);
+  }
+
+  // Pad buttons are scarce, so the action that had this button gets ours in exchange.
+  function assignPadButton(index) {
+    const { action } = capture;
+    const other = PAD_ACTIONS.find((a) => a !== action && settings.pad[a] === index);
+    if (other) settings.pad[other] = settings.pad[action];
+    settings.pad[action] = index;
+  }
+
+  // Runs before every other keydown listener while the menu waits for a key.
+  window.addEventListener("keydown", (e) => {
+    if (capture?.kind !== "key") return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.code === "Escape") {
+      capture = null;
+      render();
+      return;
+    }
+    if (e.code === "Backspace" || e.code === "Delete") {
+      settings.keys[capture.action].splice(capture.slot, 1);
+    } else if (RESERVED_CODES.includes(e.code)) {
+      return; // keep waiting for a usable key
+    } else {
+      assignKey(e.code);
+    }
+    capture = null;
+    commit();
+  }, { capture: true });
+
+  el.deadzone.addEventListener("input", () => {
+    settings.deadzone = Number(el.deadzone.value) / 100;
+    commit();
+  });
+  el.joySize.addEventListener("input", () => {
+    settings.joystick.size = Number(el.joySize.value);
+    commit();
+  });
+  el.joyAuto.addEventListener("change", () => {
+    settings.joystick.x = el.joyAuto.checked ? null : Number(el.joyX.value);
+    commit();
+  });
+  el.joyX.addEventListener("input", () => {
+    settings.joystick.x = Number(el.joyX.value);
+    commit();
+  });
+  el.joyLift.addEventListener("input", () => {
+    settings.joystick.lift = Number(el.joyLift.value);
+    commit();
+  });
+  for (const box of el.invert) {
+    box.addEventListener("change", () => {
+      const [device, axis] = box.dataset.invert.split(".");
+      settings.invert[device][axis] = box.checked;
+      commit();
+    });
+  }
+  document.getElementById("settingsReset").addEventListener("click", () => {
+    Object.assign(settings, structuredClone(SETTINGS_DEFAULTS));
+    capture = null;
+    commit();
+  });
+  document.getElementById("settingsClose").addEventListener("click", () => toggle(false));
+
+  function toggle(open = el.panel.hidden) {
+    el.panel.hidden = !open;
+    capture = null;
+    if (open) render();
+    return open;
+  }
+
+  // game.js feeds newly pressed gamepad buttons here while waitingForPad is set.
+  function capturePadButton(index) {
+    if (capture?.kind !== "pad") return;
+    assignPadButton(index);
+    capture = null;
+    commit();
+  }
+
+  return {
+    toggle,
+    capturePadButton,
+    get open() {
+      return !el.panel.hidden;
+    },
+    get waitingForPad() {
+      return capture?.kind === "pad";
+    },
+  };
+}
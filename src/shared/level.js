@@ -0,0 +1,441 @@
+// Level format and collider builder shared by the client loader (src/game.js) and the server.
+// Loaded like sim.js (which it needs): require() on Node, side-effect import in the browser,
+// where it is published on globalThis.MiniCar.level. Level files live in levels/<name>.json:
+//
+//   {
+//     "name": "Arena",
+//     "ground":    { "size": 220, "color": "#232a35", "roughness": 1, "metalness": 0,
+//                    "friction": 1.15, "restitution": 0.1, "grid": true },
+//     "perimeter": { "height": 4, "thickness": 2, "visible": false, "color": "#2a3342" },
+//     "walls":     [{ "position": [x, y, z], "size": [hx, hy, hz], "yaw": 0, "color": "#3a4454" }],
+//     "terrain":   [{ "position": [x, y, z], "size": [sx, sz], "resolution": [cols, rows],
+//                     "heights": [...] (or "hills": { "height": 6, "scale": 30, "seed": 1 }),
+//                     "edge": 0.2, "color": "#34402f", "friction": 1.15 }],
+//     "objects":   [{ "shape": "box" | "cylinder" | "ramp" | "wedge" | "halfpipe",
+//                     "size": [hx, hy, hz], "position": [x, y, z],
+//                     "yaw": 0, "color": "#ff6b35" (or "hue": 0..1), "dynamic": false,
+//                     "physics": { "friction", "restitution", "density",
+//                                  "linearDamping", "angularDamping" } }],
+//     "randomProps": { "count": 20, "spread": 55 },
+//     "spawn":     { "height": 0.6, "yaw": 0, "slots": [[x, z], ...] },
+//     "safeZone":  { "x": 0, "z": 0, "radius": 10 },
+//     "lighting":  { "background": "#0b0f16", "exposure": 1.28,
+//                    "hemisphere": { "sky": "#dfe9ff", "ground": "#1a2433", "intensity": 0.9 },
+//                    "sun": { "color": "#ffffff", "intensity": 0.9, "position": [12, 18, 10] } },
+//     "fog":       { "color": "#0b0f16", "near": 35, "far": 140 }   (or null for none)
+//     "track":     { "laps": 3, "gates": [[x, z], ...], "sectors": [0, 3, 6],
+//                    "gateWidth": 14, "gateHeight": 4, "gridSpacing": 5 }  (or null for no race)
+//   }
+//
+// Sizes are half extents, as in Rapier; a cylinder's size is [radius, halfHeight, radius]. A ramp
+// fills its box as a wedge rising towards -Z, a wedge peaks across the middle and a half-pipe is
+// a channel along Z (see sim.js); half-pipes are trimeshes and so always fixed.
+// Positions are clamped to +-120 on each axis and a level holds at most 1024 props (objects plus
+// random ones), so every prop has a wire id and encodes without wrapping.
+// A track needs at least three gates, in driving order with gate 0 as start/finish (see
+// RACE_TRACK in sim.js, which is also the default); sector 0 is always added.
+// Terrain patches are heightfields with full-extent `size`, centred on `position`. `heights` has
+// (rows + 1) x (cols + 1) values, row by row from -Z to +Z, each row from -X to +X; without it
+// the patch gets seeded rolling `hills` that fade to zero over the outer `edge` fraction.
+// Every field is optional and falls back to DEFAULT_LEVEL (the original arena). Prop ids are
+// `objects` in file order, then `randomProps` generated from the room's world seed.
+(function (factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./sim.js"));
+  } else {
+    globalThis.MiniCar = globalThis.MiniCar || {};
+    globalThis.MiniCar.level = factory(globalThis.MiniCar.sim);
+  }
+})(function (sim) {
+  const { ARENA, RACE_TRACK, createRandom, generatePropLayout } = sim;
+
+  const DEFAULT_LEVEL = {
+    name: "Arena",
+    ground: { size: ARENA.half * 2, color: "#232a35", roughness: 1, metalness: 0, friction: 1.15, restitution: 0.1, grid: true },
+    perimeter: { height: ARENA.wallHeight, thickness: ARENA.wallThickness, visible: false, color: "#2a3342" },
+    walls: [],
+    terrain: [],
+    objects: [],
+    randomProps: { count: ARENA.propCount, spread: ARENA.propSpread },
+    spawn: {
+      height: 0.6,
+      yaw: 0,
+      slots: [[0, 0], [4, 0], [-4, 0], [0, 4], [0, -4], [4, 4], [-4, 4], [4, -4], [-4, -4]],
+    },
+    safeZone: { x: 0, z: 0, radius: 10 },
+    lighting: {
+      background: "#0b0f16",
+      exposure: 1.28,
+      hemisphere: { sky: "#dfe9ff", ground: "#1a2433", intensity: 0.9 },
+      sun: { color: "#ffffff", intensity: 0.9, position: [12, 18, 10] },
+    },
+    fog: { color: "#0b0f16", near: 35, far: 140 },
+  };
+
+  const SHAPES = ["box", "cylinder", "ramp", "wedge", "halfpipe"];
+  const FIXED_SHAPES = ["halfpipe"];
+  const MAX_TERRAIN_RESOLUTION = 128;
+  const MAX_GROUND_SIZE = 240; // binary positions are i16 / 256, i.e. +-128 units incl. walls
+  const MAX_COORD = MAX_GROUND_SIZE / 2; // every placed position is kept within this on each axis
+  const MAX_PROPS = 1024; // objects + random props; well inside the u16 prop ids, and still playable
+
+  function num(value, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  function vec3(value, fallback) {
+    if (!Array.isArray(value) || value.length !== 3) return fallback.slice();
+    return value.map((v, i) => num(v, fallback[i]));
+  }
+
+  function coord(value, fallback) {
+    return clampNum(num(value, fallback), -MAX_COORD, MAX_COORD);
+  }
+
+  // vec3() for positions: clamped so they survive the wire format.
+  function pos3(value, fallback) {
+    return vec3(value, fallback).map((v) => clampNum(v, -MAX_COORD, MAX_COORD));
+  }
+
+  function color(value, fallback) {
+    return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value) ? value : fallback;
+  }
+
+  function physicsOf(raw) {
+    const out = {};
+    ["friction", "restitution", "density", "linearDamping", "angularDamping"].forEach((key) => {
+      const n = Number(raw?.[key]);
+      if (Number.isFinite(n) && n >= 0) out[key] = n;
+    });
+    return out;
+  }
+
+  function terrainPatch(raw, ground) {
+    const size = Array.isArray(raw.size) ? raw.size : [];
+    const resolution = Array.isArray(raw.resolution) ? raw.resolution : [];
+    const cols = Math.round(clampNum(num(resolution[0], 32), 1, MAX_TERRAIN_RESOLUTION));
+    const rows = Math.round(clampNum(num(resolution[1], 32), 1, MAX_TERRAIN_RESOLUTION));
+    const count = (rows + 1) * (cols + 1);
+    const heights = Array.isArray(raw.heights) && raw.heights.length === count && raw.heights.every((h) => Number.isFinite(Number(h)))
+      ? raw.heights.map(Number)
+      : null;
+    return {
+      position: pos3(raw.position, [0, 0, 0]),
+      size: [Math.max(1, Math.abs(num(size[0], 60))), Math.max(1, Math.abs(num(size[1], 60)))],
+      resolution: [cols, rows],
+      heights,
+      hills: {
+        height: num(raw.hills?.height, 5),
+        scale: Math.max(1, num(raw.hills?.scale, 30)),
+        seed: Math.floor(Math.abs(num(raw.hills?.seed, 1))) >>> 0,
+      },
+      edge: clampNum(num(raw.edge, 0.2), 0, 0.5),
+      color: color(raw.color, "#34402f"),
+      friction: num(raw.friction, ground.friction),
+    };
+  }
+
+  function clampNum(v, a, b) {
+    return Math.max(a, Math.min(b, v));
+  }
+
+  function raceTrack(raw) {
+    if (raw === null) return null;
+    const d = RACE_TRACK;
+    const src = raw && typeof raw === "object" ? raw : {};
+    const custom = Array.isArray(src.gates)
+      ? src.gates.filter((g) => Array.isArray(g) && g.length === 2 && g.every((v) => Number.isFinite(Number(v)))).map((g) => g.map((v) => coord(v, 0)))
+      : [];
+    const gates = custom.length >= 3 ? custom : d.gates.map((g) => g.slice());
+    const sectors = (Array.isArray(src.sectors) ? src.sectors : d.sectors)
+      .map(Number)
+      .filter((i) => Number.isInteger(i) && i > 0 && i < gates.length);
+    return {
+      laps: Math.round(clampNum(num(src.laps, d.laps), 1, 20)),
+      gateWidth: clampNum(num(src.gateWidth, d.gateWidth), 2, 60),
+      gateHeight: clampNum(num(src.gateHeight, d.gateHeight), 1, 20),
+      sectors: [0, ...new Set(sectors)].sort((a, b) => a - b),
+      gates,
+      gridSpacing: clampNum(num(src.gridSpacing, d.gridSpacing), 2, 20),
+    };
+  }
+
+  // Fills in defaults and drops anything malformed, so the rest of the code can trust the shape.
+  function normalizeLevel(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const d = DEFAULT_LEVEL;
+    const ground = { ...d.ground, ...(src.ground || {}) };
+    const perimeter = src.perimeter === null ? null : { ...d.perimeter, ...(src.perimeter || {}) };
+    const lighting = src.lighting || {};
+    const spawnSlots = Array.isArray(src.spawn?.slots)
+      ? src.spawn.slots.filter((s) => Array.isArray(s) && s.length === 2 && s.every((v) => Number.isFinite(Number(v)))).map((s) => s.map((v) => coord(v, 0)))
+      : [];
+    const objects = (Array.isArray(src.objects) ? src.objects : [])
+      .filter((o) => o && SHAPES.includes(o.shape))
+      .slice(0, MAX_PROPS);
+    return {
+      name: typeof src.name === "string" ? src.name.slice(0, 40) : d.name,
+      ground: {
+        size: Math.min(MAX_GROUND_SIZE, Math.max(10, num(ground.size, d.ground.size))),
+        color: color(ground.color, d.ground.color),
+        roughness: num(ground.roughness, d.ground.roughness),
+        metalness: num(ground.metalness, d.ground.metalness),
+        friction: num(ground.friction, d.ground.friction),
+        restitution: num(ground.restitution, d.ground.restitution),
+        grid: ground.grid !== false,
+      },
+      perimeter: perimeter && {
+        height: Math.max(0.5, num(perimeter.height, d.perimeter.height)),
+        thickness: Math.max(0.2, num(perimeter.thickness, d.perimeter.thickness)),
+        visible: Boolean(perimeter.visible),
+        color: color(perimeter.color, d.perimeter.color),
+      },
+      walls: (Array.isArray(src.walls) ? src.walls : []).map((w) => ({
+        position: pos3(w?.position, [0, 1, 0]),
+        size: vec3(w?.size, [1, 1, 1]).map((v) => Math.max(0.05, Math.abs(v))),
+        yaw: num(w?.yaw, 0),
+        color: color(w?.color, "#3a4454"),
+      })),
+      terrain: (Array.isArray(src.terrain) ? src.terrain : [])
+        .filter((t) => t && typeof t === "object")
+        .map((t) => terrainPatch(t, { friction: num(ground.friction, d.ground.friction) })),
+      objects: objects.map((o) => ({
+        shape: o.shape,
+        size: vec3(o.size, [0.5, 0.5, 0.5]).map((v) => Math.max(0.05, Math.abs(v))),
+        position: pos3(o.position, [0, 0.5, 0]),
+        yaw: num(o.yaw, 0),
+        color: color(o.color, null),
+        hue: num(o.hue, 0.6),
+        dynamic: Boolean(o.dynamic) && !FIXED_SHAPES.includes(o.shape),
+        physics: physicsOf(o.physics),
+      })),
+      randomProps: {
+        count: clampNum(Math.floor(num(src.randomProps?.count, d.randomProps.count)), 0, MAX_PROPS - objects.length),
+        spread: clampNum(num(src.randomProps?.spread, d.randomProps.spread), 1, MAX_COORD),
+      },
+      spawn: {
+        height: num(src.spawn?.height, d.spawn.height),
+        yaw: num(src.spawn?.yaw, d.spawn.yaw),
+        slots: spawnSlots.length ? spawnSlots : d.spawn.slots.map((s) => s.slice()),
+      },
+      safeZone: {
+        x: coord(src.safeZone?.x, d.safeZone.x),
+        z: coord(src.safeZone?.z, d.safeZone.z),
+        radius: Math.max(0, num(src.safeZone?.radius, d.safeZone.radius)),
+      },
+      lighting: {
+        background: color(lighting.background, d.lighting.background),
+        exposure: num(lighting.exposure, d.lighting.exposure),
+        hemisphere: {
+          sky: color(lighting.hemisphere?.sky, d.lighting.hemisphere.sky),
+          ground: color(lighting.hemisphere?.ground, d.lighting.hemisphere.ground),
+          intensity: num(lighting.hemisphere?.intensity, d.lighting.hemisphere.intensity),
+        },
+        sun: {
+          color: color(lighting.sun?.color, d.lighting.sun.color),
+          intensity: num(lighting.sun?.intensity, d.lighting.sun.intensity),
+          position: vec3(lighting.sun?.position, d.lighting.sun.position),
+        },
+      },
+      fog: src.fog === null ? null : {
+        color: color(src.fog?.color, d.fog.color),
+        near: num(src.fog?.near, d.fog.near),
+        far: num(src.fog?.far, d.fog.far),
+      },
+      track: raceTrack(src.track),
+    };
+  }
+
+  // Half extent of the drivable area including the perimeter walls (anti-cheat, prop clamps).
+  function levelHalfExtent(level) {
+    return level.ground.size / 2 + (level.perimeter ? level.perimeter.thickness * 2 : 0);
+  }
+
+  function levelPropCount(level) {
+    return level.objects.length + level.randomProps.count;
+  }
+
+  // Perimeter walls + extra walls as { position, size, yaw, color, visible } boxes.
+  function levelWallBoxes(level) {
+    const boxes = [];
+    const { perimeter } = level;
+    if (perimeter) {
+      const half = level.ground.size / 2;
+      const { thickness, height } = perimeter;
+      const long = half + thickness;
+      [
+        [half + thickness, 0, thickness, long],
+        [-half - thickness, 0, thickness, long],
+        [0, half + thickness, long, thickness],
+        [0, -half - thickness, long, thickness],
+      ].forEach(([x, z, sx, sz]) => {
+        boxes.push({ position: [x, height / 2, z], size: [sx, height / 2, sz], yaw: 0, color: perimeter.color, visible: perimeter.visible });
+      });
+    }
+    level.walls.forEach((w) => boxes.push({ ...w, visible: true }));
+    return boxes;
+  }
+
+  function yawRotation(yaw) {
+    return { x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) };
+  }
+
+  const heightCache = new WeakMap(); // patch -> Float32Array
+
+  // Patch heights in the documented row order, generated once per normalized patch.
+  function terrainHeights(patch) {
+    if (heightCache.has(patch)) return heightCache.get(patch);
+    const [cols, rows] = patch.resolution;
+    const [sx, sz] = patch.size;
+    const out = new Float32Array((rows + 1) * (cols + 1));
+    if (patch.heights) {
+      out.set(patch.heights);
+    } else {
+      const random = createRandom(patch.hills.seed);
+      const waves = [1, 2, 3].map((octave) => {
+        const angle = random() * Math.PI * 2;
+        return { dx: Math.cos(angle), dz: Math.sin(angle), k: (Math.PI * 2 * octave) / patch.hills.scale, phase: random() * Math.PI * 2, amp: 1 / octave };
+      });
+      const ampSum = waves.reduce((sum, w) => sum + w.amp, 0);
+      const fade = (t) => (patch.edge > 0 ? clampNum(t / patch.edge, 0, 1) : 1);
+      for (let i = 0; i <= rows; i++) {
+        for (let j = 0; j <= cols; j++) {
+          const u = j / cols;
+          const v = i / rows;
+          const x = (u - 0.5) * sx;
+          const z = (v - 0.5) * sz;
+          let h = 0;
+          waves.forEach((w) => { h += Math.sin((x * w.dx + z * w.dz) * w.k + w.phase) * w.amp; });
+          const edgeT = fade(Math.min(u, 1 - u, v, 1 - v));
+          const smooth = edgeT * edgeT * (3 - 2 * edgeT);
+          out[i * (cols + 1) + j] = ((h / ampSum + 1) / 2) * patch.hills.height * smooth;
+        }
+      }
+    }
+    heightCache.set(patch, out);
+    return out;
+  }
+
+  // Ground height under (x, z): the highest terrain patch there (bilinear), or 0.
+  function levelHeightAt(level, x, z) {
+    let best = 0;
+    level.terrain.forEach((patch) => {
+      const [cols, rows] = patch.resolution;
+      const u = ((x - patch.position[0]) / patch.size[0] + 0.5) * cols;
+      const v = ((z - patch.position[2]) / patch.size[1] + 0.5) * rows;
+      if (u < 0 || v < 0 || u > cols || v > rows) return;
+      const heights = terrainHeights(patch);
+      const j = Math.min(Math.floor(u), cols - 1);
+      const i = Math.min(Math.floor(v), rows - 1);
+      const fu = u - j;
+      const fv = v - i;
+      const at = (ii, jj) => heights[ii * (cols + 1) + jj];
+      const h = (at(i, j) * (1 - fu) + at(i, j + 1) * fu) * (1 - fv) + (at(i + 1, j) * (1 - fu) + at(i + 1, j + 1) * fu) * fv;
+      best = Math.max(best, h + patch.position[1]);
+    });
+    return best;
+  }
+
+  // Ground + walls + terrain. Returns [{ body, collider, type, box, terrain }] so callers can
+  // attach meshes.
+  function createLevelColliders(RAPIER, world, level) {
+    const created = [];
+    const half = level.ground.size / 2;
+    const groundBody = world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+    const groundCollider = world.createCollider(
+      RAPIER.ColliderDesc.cuboid(half, 0.1, half)
+        .setTranslation(0, -0.05, 0)
+        .setFriction(level.ground.friction) // higher friction = less sliding (arcade)
+        .setRestitution(level.ground.restitution), // lower bounce = stickier ground
+      groundBody
+    );
+    created.push({ body: groundBody, collider: groundCollider, type: "ground", box: null });
+
+    levelWallBoxes(level).forEach((box) => {
+      const body = world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+      const collider = world.createCollider(
+        RAPIER.ColliderDesc.cuboid(box.size[0], box.size[1], box.size[2])
+          .setTranslation(box.position[0], box.position[1], box.position[2])
+          .setRotation(yawRotation(box.yaw))
+          .setFriction(0.9)
+          .setRestitution(0.2),
+        body
+      );
+      created.push({ body, collider, type: "wall", box });
+    });
+
+    level.terrain.forEach((patch) => {
+      // Rapier wants the height matrix column-major with rows along Z.
+      const [cols, rows] = patch.resolution;
+      const heights = terrainHeights(patch);
+      const columnMajor = new Float32Array(heights.length);
+      for (let i = 0; i <= rows; i++) {
+        for (let j = 0; j <= cols; j++) columnMajor[j * (rows + 1) + i] = heights[i * (cols + 1) + j];
+      }
+      const body = world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+      const collider = world.createCollider(
+        RAPIER.ColliderDesc.heightfield(rows, cols, columnMajor, { x: patch.size[0], y: 1, z: patch.size[1] })
+          .setTranslation(patch.position[0], patch.position[1], patch.position[2])
+          .setFriction(patch.friction)
+          .setRestitution(level.ground.restitution),
+        body
+      );
+      created.push({ body, collider, type: "terrain", box: null, terrain: patch });
+    });
+    return created;
+  }
+
+  // Prop entries (the generatePropLayout shape) for the level's objects plus its seeded props.
+  function levelPropLayout(level, random = Math.random) {
+    const fixed = level.objects.map((o, id) => ({
+      id,
+      shape: o.shape,
+      dynamic: o.dynamic,
+      size: o.size.slice(),
+      hue: o.hue,
+      color: o.color,
+      position: o.position.slice(),
+      yaw: o.yaw,
+      physics: o.physics,
+      linearDamping: o.physics.linearDamping ?? 1.1,
+      angularDamping: o.physics.angularDamping ?? 1.3,
+    }));
+    const generated = generatePropLayout(level.randomProps.count, level.safeZone, random, level.randomProps.spread);
+    generated.forEach((prop) => {
+      prop.id += fixed.length;
+      prop.position[1] += levelHeightAt(level, prop.position[0], prop.position[2]);
+    });
+    return fixed.concat(generated);
+  }
+
+  function levelSpawnSlot(level, index) {
+    const slots = level.spawn.slots;
+    const [x, z] = slots[((index % slots.length) + slots.length) % slots.length];
+    const px = level.safeZone.x + x;
+    const pz = level.safeZone.z + z;
+    return { x: px, y: level.spawn.height + levelHeightAt(level, px, pz), z: pz, yaw: level.spawn.yaw };
+  }
+
+  // Spawn slot nearest `from` ({ x, z }) that `isFree(slot)` accepts; the nearest one if none is.
+  function levelNearestSpawn(level, from, isFree = () => true) {
+    const slots = level.spawn.slots.map((_, i) => levelSpawnSlot(level, i));
+    const dist = (slot) => Math.hypot(slot.x - from.x, slot.z - from.z);
+    slots.sort((a, b) => dist(a) - dist(b));
+    return slots.find(isFree) || slots[0];
+  }
+
+  return {
+    DEFAULT_LEVEL,
+    normalizeLevel,
+    levelHalfExtent,
+    levelPropCount,
+    levelWallBoxes,
+    terrainHeights,
+    levelHeightAt,
+    createLevelColliders,
+    levelPropLayout,
+    levelSpawnSlot,
+    levelNearestSpawn,
+  };
+});
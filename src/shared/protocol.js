@@ -0,0 +1,368 @@
+// Binary wire format shared by server.js and src/game.js (same loading trick as sim.js).
+// Control messages (hello, join, player-joined/left, errors) stay JSON; per-tick state goes
+// through the frames below. All multi-byte fields are little-endian.
+//
+//   STATE        client -> server  [type u8][ver u8][state]
+//   INPUT        client -> server  [type u8][ver u8][x i8][y i8][flags u8]
+//                                  flags: bit 0 handbrake, bit 1 boost
+//   ACK          client -> server  [type u8][ver u8][seq u16]
+//   PROPS        client -> server  [type u8][ver u8][count u8] count x [prop]
+//   SNAPSHOT     server -> client  [type u8][ver u8][seq u16][baseSeq u16][count u8]
+//                                  count x ([index u8][mask u8][masked fields][ext?])
+//                                  [removed u8][removed x index u8]
+//                                  [props u16] props x [prop]
+//
+// [prop] is [id u16][p 3 x i16][q 4 x i16], from rows shaped [id, x, y, z, qx, qy, qz, qw].
+//
+// [state] is every field in STATE_FIELDS order. Snapshot entries only carry the fields whose
+// bit is set in `mask`, relative to the base snapshot the client last acknowledged
+// (baseSeq = NO_BASE for a full snapshot). Mask bit 7 appends the ext block
+// (quaternion 4 x i16, velocity 3 x i16) used for authoritative reconciliation.
+(function (factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    globalThis.MiniCar = globalThis.MiniCar || {};
+    globalThis.MiniCar.protocol = api;
+  }
+})(function () {
+  const PROTOCOL_VERSION = 1;
+  const MSG = {
+    STATE: 1,
+    INPUT: 2,
+    ACK: 3,
+    PROPS: 4,
+    // 16 was a per-player state frame, superseded by SNAPSHOT; don't reuse it.
+    SNAPSHOT: 17,
+  };
+  const NO_BASE = 0xffff;
+  const CHAT_MAX_LENGTH = 200;
+  const NICKNAME_MAX_LENGTH = 20;
+  // Quick emotes are sent by key; labels/icons live in the client.
+  const EMOTES = ["hi", "gg", "go", "wait", "sorry", "lol", "wow", "angry"];
+  const HISTORY = 32; // snapshots kept on each side for delta bases
+
+  const POS_SCALE = 256;      // i16 -> +-128 units at ~4mm
+  const SPEED_SCALE = 256;    // i16 -> +-128 u/s
+  const STEER_RANGE = Math.PI / 4;
+  const QUAT_SCALE = 32767;
+  const FLAG_BRAKE = 1;
+  const FLAG_LIGHTS = 2;
+  const EXT_BIT = 0x80;
+
+  // [name, byte size, DataView getter, DataView setter]
+  const STATE_FIELDS = [
+    ["px", 2, "getInt16", "setInt16"],
+    ["py", 2, "getInt16", "setInt16"],
+    ["pz", 2, "getInt16", "setInt16"],
+    ["yaw", 2, "getUint16", "setUint16"],
+    ["speed", 2, "getInt16", "setInt16"],
+    ["steer", 1, "getInt8", "setInt8"],
+    ["flags", 1, "getUint8", "setUint8"],
+  ];
+  const STATE_BYTES = STATE_FIELDS.reduce((sum, f) => sum + f[1], 0);
+  const EXT_BYTES = 14;
+  const PROP_BYTES = 16;
+
+  function clampInt(v, min, max) {
+    return Math.max(min, Math.min(max, Math.round(v)));
+  }
+  const i16 = (v) => clampInt(v, -32768, 32767);
+
+  function quantizeState(state) {
+    const p = Array.isArray(state?.p) ? state.p : [0, 0, 0];
+    const yaw = Number(state?.y) || 0;
+    const turn = ((yaw % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    const q = {
+      px: i16((Number(p[0]) || 0) * POS_SCALE),
+      py: i16((Number(p[1]) || 0) * POS_SCALE),
+      pz: i16((Number(p[2]) || 0) * POS_SCALE),
+      yaw: Math.round((turn / (Math.PI * 2)) * 65536) & 0xffff,
+      speed: i16((Number(state?.s) || 0) * SPEED_SCALE),
+      steer: clampInt(((Number(state?.st) || 0) / STEER_RANGE) * 127, -127, 127),
+      flags: (state?.b ? FLAG_BRAKE : 0) | (state?.l === false ? 0 : FLAG_LIGHTS),
+    };
+    if (Array.isArray(state?.q) && Array.isArray(state?.v)) {
+      q.ext = {
+        q: state.q.map((c) => i16(c * QUAT_SCALE)),
+        v: state.v.map((c) => i16(c * SPEED_SCALE)),
+      };
+    }
+    return q;
+  }
+
+  function dequantizeState(q) {
+    let yaw = (q.yaw / 65536) * Math.PI * 2;
+    if (yaw > Math.PI) yaw -= Math.PI * 2;
+    const state = {
+      p: [q.px / POS_SCALE, q.py / POS_SCALE, q.pz / POS_SCALE],
+      y: yaw,
+      s: q.speed / SPEED_SCALE,
+      st: (q.steer / 127) * STEER_RANGE,
+      b: Boolean(q.flags & FLAG_BRAKE),
+      l: Boolean(q.flags & FLAG_LIGHTS),
+    };
+    if (q.ext) {
+      state.q = q.ext.q.map((c) => c / QUAT_SCALE);
+      state.v = q.ext.v.map((c) => c / SPEED_SCALE);
+    }
+    return state;
+  }
+
+  function writeState(view, offset, q) {
+    for (const [name, size, , setter] of STATE_FIELDS) {
+      view[setter](offset, q[name], true);
+      offset += size;
+    }
+    return offset;
+  }
+
+  function readState(view, offset) {
+    const q = {};
+    for (const [name, size, getter] of STATE_FIELDS) {
+      q[name] = view[getter](offset, true);
+      offset += size;
+    }
+    return { q, offset };
+  }
+
+  function header(type, bytes) {
+    const buffer = new ArrayBuffer(bytes);
+    const view = new DataView(buffer);
+    view.setUint8(0, type);
+    view.setUint8(1, PROTOCOL_VERSION);
+    return { buffer, view };
+  }
+
+  function encodeState(state) {
+    const { buffer, view } = header(MSG.STATE, 2 + STATE_BYTES);
+    writeState(view, 2, quantizeState(state));
+    return buffer;
+  }
+
+  function encodeInput(input) {
+    const { buffer, view } = header(MSG.INPUT, 5);
+    view.setInt8(2, clampInt((Number(input?.x) || 0) * 127, -127, 127));
+    view.setInt8(3, clampInt((Number(input?.y) || 0) * 127, -127, 127));
+    view.setUint8(4, (input?.h ? 1 : 0) | (input?.b ? 2 : 0));
+    return buffer;
+  }
+
+  function writePropRow(view, o, [id, x, y, z, qx, qy, qz, qw]) {
+    view.setUint16(o, id, true); o += 2;
+    [x, y, z].forEach((c) => { view.setInt16(o, i16(c * POS_SCALE), true); o += 2; });
+    [qx, qy, qz, qw].forEach((c) => { view.setInt16(o, i16(c * QUAT_SCALE), true); o += 2; });
+    return o;
+  }
+
+  function readPropRow(view, o) {
+    const row = [view.getUint16(o, true)]; o += 2;
+    for (let i = 0; i < 3; i++) { row.push(view.getInt16(o, true) / POS_SCALE); o += 2; }
+    for (let i = 0; i < 4; i++) { row.push(view.getInt16(o, true) / QUAT_SCALE); o += 2; }
+    return row;
+  }
+
+  // Transforms of the props this client owns (relay mode prop sync), at most 255 per frame.
+  function encodeProps(rows) {
+    const count = Math.min(rows.length, 255);
+    const { buffer, view } = header(MSG.PROPS, 3 + count * PROP_BYTES);
+    view.setUint8(2, count);
+    let o = 3;
+    for (let i = 0; i < count; i++) o = writePropRow(view, o, rows[i]);
+    return buffer;
+  }
+
+  function encodeAck(seq) {
+    const { buffer, view } = header(MSG.ACK, 4);
+    view.setUint16(2, seq, true);
+    return buffer;
+  }
+
+  function diffMask(current, base) {
+    let mask = 0;
+    STATE_FIELDS.forEach(([name], bit) => {
+      if (!base || base[name] !== current[name]) mask |= 1 << bit;
+    });
+    return mask;
+  }
+
+  // players: Map<index, quantized>; base: Map<index, quantized> | null; props: [id, x, y, z, qx, qy, qz, qw][]
+  function encodeSnapshot(seq, baseSeq, players, base, props = []) {
+    const entries = [];
+    let bytes = 2 + 2 + 2 + 1 + 1 + 2;
+    for (const [index, q] of players.entries()) {
+      const mask = diffMask(q, base ? base.get(index) : null) | (q.ext ? EXT_BIT : 0);
+      if (mask === 0) continue;
+      entries.push({ index, q, mask });
+      bytes += 2 + (q.ext ? EXT_BYTES : 0);
+      STATE_FIELDS.forEach(([, size], bit) => {
+        if (mask & (1 << bit)) bytes += size;
+      });
+    }
+    const removed = base ? Array.from(base.keys()).filter((index) => !players.has(index)) : [];
+    bytes += removed.length + props.length * PROP_BYTES;
+
+    const { buffer, view } = header(MSG.SNAPSHOT, bytes);
+    let o = 2;
+    view.setUint16(o, seq, true); o += 2;
+    view.setUint16(o, base ? baseSeq : NO_BASE, true); o += 2;
+    view.setUint8(o, entries.length); o += 1;
+    entries.forEach(({ index, q, mask }) => {
+      view.setUint8(o, index); o += 1;
+      view.setUint8(o, mask); o += 1;
+      STATE_FIELDS.forEach(([name, size, , setter], bit) => {
+        if (!(mask & (1 << bit))) return;
+        view[setter](o, q[name], true);
+        o += size;
+      });
+      if (q.ext) {
+        q.ext.q.forEach((c) => { view.setInt16(o, c, true); o += 2; });
+        q.ext.v.forEach((c) => { view.setInt16(o, c, true); o += 2; });
+      }
+    });
+    view.setUint8(o, removed.length); o += 1;
+    removed.forEach((index) => { view.setUint8(o, index); o += 1; });
+    view.setUint16(o, props.length, true); o += 2;
+    props.forEach((row) => { o = writePropRow(view, o, row); });
+    return buffer;
+  }
+
+  // Server side: one per connection. Remembers what was sent so the next snapshot can be a
+  // delta against whatever the client last acknowledged.
+  function createDeltaEncoder() {
+    const sent = new Map(); // seq -> Map<index, quantized>
+    let acked = null;
+    return {
+      ack(seq) {
+        if (sent.has(seq)) acked = seq;
+      },
+      encode(seq, players, props) {
+        const base = acked !== null ? sent.get(acked) : null;
+        const buffer = encodeSnapshot(seq, acked, players, base || null, props);
+        const stored = new Map();
+        for (const [index, q] of players.entries()) {
+          const { ext, ...fields } = q;
+          stored.set(index, fields);
+        }
+        sent.set(seq, stored);
+        if (sent.size > HISTORY) sent.delete(sent.keys().next().value);
+        if (acked !== null && !sent.has(acked)) acked = null;
+        return buffer;
+      },
+      reset() {
+        sent.clear();
+        acked = null;
+      },
+    };
+  }
+
+  // Client side: rebuilds full snapshots from deltas. Returns null when the base is unknown
+  // (the server falls back to a full snapshot once it sees no fresh ack).
+  function createDeltaDecoder() {
+    const history = new Map(); // seq -> Map<index, quantized>
+    return {
+      decode(view) {
+        let o = 2;
+        const seq = view.getUint16(o, true); o += 2;
+        const baseSeq = view.getUint16(o, true); o += 2;
+        const count = view.getUint8(o); o += 1;
+        let base = null;
+        if (baseSeq !== NO_BASE) {
+          base = history.get(baseSeq);
+          if (!base) return null;
+        }
+        const players = new Map(base ? Array.from(base.entries(), ([i, q]) => [i, { ...q }]) : []);
+        const ext = new Map();
+        for (let n = 0; n < count; n++) {
+          const index = view.getUint8(o); o += 1;
+          const mask = view.getUint8(o); o += 1;
+          const q = players.get(index) || {};
+          STATE_FIELDS.forEach(([name, size, getter], bit) => {
+            if (!(mask & (1 << bit))) return;
+            q[name] = view[getter](o, true);
+            o += size;
+          });
+          players.set(index, q);
+          if (mask & EXT_BIT) {
+            const quat = [];
+            const vel = [];
+            for (let i = 0; i < 4; i++) { quat.push(view.getInt16(o, true)); o += 2; }
+            for (let i = 0; i < 3; i++) { vel.push(view.getInt16(o, true)); o += 2; }
+            ext.set(index, { q: quat, v: vel });
+          }
+        }
+        const removedCount = view.getUint8(o); o += 1;
+        for (let n = 0; n < removedCount; n++) {
+          players.delete(view.getUint8(o)); o += 1;
+        }
+        const propCount = view.getUint16(o, true); o += 2;
+        const props = [];
+        for (let n = 0; n < propCount; n++) {
+          props.push(readPropRow(view, o));
+          o += PROP_BYTES;
+        }
+
+        history.set(seq, players);
+        if (history.size > HISTORY * 2) history.delete(history.keys().next().value);
+
+        const states = new Map();
+        for (const [index, q] of players.entries()) {
+          states.set(index, dequantizeState(ext.has(index) ? { ...q, ext: ext.get(index) } : q));
+        }
+        return { seq, players: states, props };
+      },
+      reset() {
+        history.clear();
+      },
+    };
+  }
+
+  // Generic decode for everything except SNAPSHOT (which needs a delta decoder).
+  function decode(view) {
+    const type = view.getUint8(0);
+    const version = view.getUint8(1);
+    if (version !== PROTOCOL_VERSION) return { type, version, unsupported: true };
+    switch (type) {
+      case MSG.STATE:
+        return { type, version, state: dequantizeState(readState(view, 2).q) };
+      case MSG.INPUT: {
+        const flags = view.byteLength > 4 ? view.getUint8(4) : 0; // older clients send no flags
+        return {
+          type,
+          version,
+          input: { x: view.getInt8(2) / 127, y: view.getInt8(3) / 127, h: (flags & 1) !== 0, b: (flags & 2) !== 0 },
+        };
+      }
+      case MSG.ACK:
+        return { type, version, seq: view.getUint16(2, true) };
+      case MSG.PROPS: {
+        const count = view.getUint8(2);
+        if (view.byteLength < 3 + count * PROP_BYTES) throw new Error("truncated props frame");
+        const props = [];
+        for (let n = 0; n < count; n++) props.push(readPropRow(view, 3 + n * PROP_BYTES));
+        return { type, version, props };
+      }
+      default:
+        return { type, version };
+    }
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MSG,
+    CHAT_MAX_LENGTH,
+    NICKNAME_MAX_LENGTH,
+    EMOTES,
+    quantizeState,
+    dequantizeState,
+    encodeState,
+    encodeInput,
+    encodeAck,
+    encodeProps,
+    encodeSnapshot,
+    createDeltaEncoder,
+    createDeltaDecoder,
+    decode,
+  };
+});
@@ -0,0 +1,461 @@
+// Simulation pieces shared by the browser (src/game.js) and the Node server (authority.js).
+// Plain script with no imports: Node picks it up through require(), the browser through a
+// side-effect import that publishes it on globalThis.MiniCar.sim.
+(function (factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    globalThis.MiniCar = globalThis.MiniCar || {};
+    globalThis.MiniCar.sim = api;
+  }
+})(function () {
+  const GRAVITY = { x: 0, y: -12.8, z: 0 }; // stronger gravity = quicker toy fall
+  const FIXED_DT = 1 / 60;
+
+  const ARENA = {
+    half: 110,          // half size of the floor; walls sit just outside
+    wallThickness: 2,
+    wallHeight: 4,
+    propSpread: 55,     // props are scattered inside +-propSpread
+    propCount: 20,
+  };
+
+  const DRIVE = {
+    engineImpulse: 5.6,  // raise for snappier acceleration (arcade)
+    steerTorque: 0.64,   // raise for faster yaw response
+    maxSpeed: 10.2,      // forward top speed (swap with reverse for request)
+    maxReverse: 24.0,    // reverse top speed (faster per request)
+    speedClamp: 0.3,     // higher = stronger speed cap impulse
+    sideGrip: 1.7,       // higher = less drift
+    ccd: true,
+    skidSideThreshold: 3.4,
+    skidMinSpeed: 4.6,
+    inputAccel: 6.0,     // how fast smoothed input follows the stick
+    groundProbe: 0.3,    // a wheel counts as touching within this far below the chassis
+    axleOffset: 1.35,    // front/rear axle distance from the body centre
+    handbrakeGrip: 0.2,  // rear share of sideGrip left with the handbrake on
+    handbrakeDrag: 0.06, // longitudinal speed bled per step while it's held
+    handbrakeSteer: 1.4, // extra yaw torque to swing the tail out
+    linearDamping: 1.4,  // lower for more glide (also faster fall), higher for tighter stop
+    angularDamping: 3.2, // lower for more spin, higher for stability
+  };
+
+  // Boost meter: 0..1 charge, drains while held and refills on its own.
+  const BOOST = {
+    drainPerSec: 0.45,
+    rechargePerSec: 0.12,
+    minCharge: 0.15,     // needed to start a boost (keeps tapping from stuttering)
+    speedScale: 1.3,     // top speed multiplier
+    impulseScale: 1.35,  // engine impulse multiplier
+  };
+
+  // Recovery: upside down (car up·world up below flipUp) while nearly stopped for flipSeconds,
+  // or below fallBelow, sends the car back to the nearest spawn slot with nobody within
+  // `clearance`. It then passes through cars and props for passThroughSeconds.
+  const RESPAWN = {
+    flipUp: 0.3,
+    flipMaxSpeed: 2,
+    flipSeconds: 2.5,
+    fallBelow: -1.5,
+    clearance: 3.5,
+    passThroughSeconds: 2,
+    minIntervalMs: 1500,  // manual resets can't be spammed
+  };
+
+  // Checkpoint race: gates in driving order, gate 0 is start/finish. `sectors` are the gates
+  // that open each timing sector. Gates are [x, z]; their facing follows the track.
+  const RACE_TRACK = {
+    laps: 3,
+    gateWidth: 14,
+    gateHeight: 4,
+    sectors: [0, 3, 6],
+    gates: [
+      [0, -48], [50, -40], [72, 0], [50, 40], [0, 48], [-50, 40], [-72, 0], [-50, -40],
+    ],
+    gridSpacing: 5, // metres between grid rows behind the start line
+  };
+
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+  function approach(current, target, maxDelta) {
+    const delta = target - current;
+    if (Math.abs(delta) <= maxDelta) return target;
+    return current + Math.sign(delta) * maxDelta;
+  }
+
+  function rotateVec(q, x, y, z) {
+    // v' = v + 2w(q x v) + 2(q x (q x v))
+    const tx = 2 * (q.y * z - q.z * y);
+    const ty = 2 * (q.z * x - q.x * z);
+    const tz = 2 * (q.x * y - q.y * x);
+    return {
+      x: x + q.w * tx + (q.y * tz - q.z * ty),
+      y: y + q.w * ty + (q.z * tx - q.x * tz),
+      z: z + q.w * tz + (q.x * ty - q.y * tx),
+    };
+  }
+
+  function dot(a, b) { return a.x * b.x + a.y * b.y + a.z * b.z; }
+
+  function yawFromQuaternion(q) {
+    return Math.atan2(2 * (q.w * q.y + q.x * q.z), 1 - 2 * (q.y * q.y + q.x * q.x));
+  }
+
+  // Ground probes near the four corners of the chassis cuboid (`half`/`offset` in body space),
+  // at its centre height.
+  function carWheelAnchors(half, offset) {
+    return [[-1, -1], [1, -1], [-1, 1], [1, 1]].map(([sx, sz]) => ({
+      x: offset.x + sx * half.x * 0.8,
+      y: offset.y,
+      z: offset.z + sz * half.z * 0.7,
+    }));
+  }
+
+  // How many probes find something solid within `reach` along the car's own down axis, so an
+  // upside-down car counts as airborne too.
+  function countGroundedWheels(RAPIER, world, rb, anchors, reach) {
+    const t = rb.translation();
+    const rot = rb.rotation();
+    const down = rotateVec(rot, 0, -1, 0);
+    let grounded = 0;
+    for (const anchor of anchors) {
+      const p = rotateVec(rot, anchor.x, anchor.y, anchor.z);
+      const ray = new RAPIER.Ray({ x: t.x + p.x, y: t.y + p.y, z: t.z + p.z }, down);
+      if (world.castRay(ray, reach, true, RAPIER.QueryFilterFlags.EXCLUDE_SENSORS, undefined, undefined, rb)) grounded++;
+    }
+    return grounded;
+  }
+
+  // Physics hooks for respawn protection; pass the result as world.step(queue, hooks). Contacts
+  // between a body in `passThrough` and one in `movers` (cars, dynamic props) are dropped, so the
+  // protected car still rests on the level. Both are Sets of rigid-body handles because hooks
+  // can't query the world mid-step; protected colliders need ActiveHooks.FILTER_CONTACT_PAIRS.
+  function createPassThroughHooks(RAPIER, passThrough, movers) {
+    return {
+      filterContactPair(c1, c2, b1, b2) {
+        const skip = (passThrough.has(b1) && movers.has(b2)) || (passThrough.has(b2) && movers.has(b1));
+        return skip ? null : RAPIER.SolverFlags.COMPUTE_IMPULSE;
+      },
+      filterIntersectionPair() {
+        return true;
+      },
+    };
+  }
+
+  // Advances a { charge, active } boost meter by `dt`; returns whether boost applies this step.
+  function updateBoost(meter, wanted, dt) {
+    const active = Boolean(wanted) && meter.charge > (meter.active ? 0 : BOOST.minCharge);
+    meter.charge = active
+      ? Math.max(0, meter.charge - BOOST.drainPerSec * dt)
+      : Math.min(1, meter.charge + BOOST.rechargePerSec * dt);
+    meter.active = active;
+    return active;
+  }
+
+  // Arcade drive model: engine impulse, steering torque, sideways grip cheat, stabilizer and
+  // speed clamp. `ax`/`ay` are the smoothed -1..1 steer/throttle values; `mods.handbrake`
+  // drops the rear grip, `mods.boost` raises engine impulse and top speed. In the air (no wheel
+  // touching) nothing is applied and the car just follows gravity and its momentum.
+  function applyDriveForces(rb, ax, ay, grounded = true, mods = {}) {
+    const { handbrake = false, boost = false } = mods;
+    const rot = rb.rotation();
+    const forward = rotateVec(rot, 0, 0, -1);
+    const right = rotateVec(rot, 1, 0, 0);
+    const vel = rb.linvel();
+    const speedAlong = dot(vel, forward);
+    const sideSpeed = dot(vel, right);
+    if (!grounded) return { forward, right, speedAlong, sideSpeed, grounded };
+
+    // Engine impulse
+    const engine = ay * DRIVE.engineImpulse * (boost ? BOOST.impulseScale : 1);
+    rb.applyImpulse({ x: forward.x * engine, y: forward.y * engine, z: forward.z * engine }, true);
+
+    // Steering torque (stronger at medium speeds)
+    const speedFactor = clamp(Math.abs(speedAlong) / DRIVE.maxSpeed, 0, 1);
+    const torqueScale = (0.45 + speedFactor * 0.55) * (handbrake ? DRIVE.handbrakeSteer : 1);
+    const steerSign = speedAlong < -0.45 ? -1 : 1; // flip when reversing to match joystick feel
+    rb.applyTorqueImpulse({ x: 0, y: -ax * steerSign * DRIVE.steerTorque * torqueScale, z: 0 }, true);
+
+    // Toy-like sideways grip cheat
+    const sideMagnitude = Math.abs(sideSpeed);
+    if (sideMagnitude > 0.02) {
+      const gripScale = clamp(sideMagnitude / 6.5, 0.25, 1); // lower = smoother snaps, higher = tighter drift kill
+      const grip = -sideSpeed * DRIVE.sideGrip * gripScale;
+      if (handbrake) {
+        // Split the grip over both axles; the locked rear keeps only a fraction so it slides out.
+        const t = rb.translation();
+        const front = grip * 0.5;
+        const rear = front * DRIVE.handbrakeGrip;
+        const o = DRIVE.axleOffset;
+        rb.applyImpulseAtPoint({ x: right.x * front, y: right.y * front, z: right.z * front },
+          { x: t.x - forward.x * o, y: t.y - forward.y * o, z: t.z - forward.z * o }, true);
+        rb.applyImpulseAtPoint({ x: right.x * rear, y: right.y * rear, z: right.z * rear },
+          { x: t.x + forward.x * o, y: t.y + forward.y * o, z: t.z + forward.z * o }, true);
+      } else {
+        rb.applyImpulse({ x: right.x * grip, y: right.y * grip, z: right.z * grip }, true);
+      }
+    }
+
+    if (handbrake) {
+      const drag = -speedAlong * DRIVE.handbrakeDrag;
+      rb.applyImpulse({ x: forward.x * drag, y: forward.y * drag, z: forward.z * drag }, true);
+    }
+
+    // Extra yaw/roll stabilizer to keep toy car planted
+    const ang = rb.angvel();
+    if (Math.abs(ang.x) + Math.abs(ang.y) + Math.abs(ang.z) > 0.01) {
+      rb.applyTorqueImpulse({ x: -ang.x * 0.035, y: -ang.y * 0.08, z: -ang.z * 0.035 }, true);
+    }
+
+    const speed = Math.sqrt(dot(vel, vel));
+    const forwardMax = (speedAlong >= 0 ? DRIVE.maxSpeed : DRIVE.maxReverse) * (boost ? BOOST.speedScale : 1);
+    if (speed > forwardMax + 0.35) {
+      const clampFactor = ((speed - forwardMax) * DRIVE.speedClamp) / speed;
+      rb.applyImpulse({ x: -vel.x * clampFactor, y: -vel.y * clampFactor, z: -vel.z * clampFactor }, true);
+    }
+
+    return { forward, right, speedAlong, sideSpeed, grounded };
+  }
+
+  function isBraking(speedAlong, ay) {
+    const braking = (speedAlong > 0.4 && ay < 0) || (Math.abs(speedAlong) > 0.6 && Math.abs(ay) < 0.05);
+    return braking || ay < -0.2;
+  }
+
+  // Gate centre plus unit driving direction (from the previous gate towards the next).
+  function raceGateFrame(index, track = RACE_TRACK) {
+    const { gates } = track;
+    const n = gates.length;
+    const [x, z] = gates[index];
+    const prev = gates[(index - 1 + n) % n];
+    const next = gates[(index + 1) % n];
+    const dx = next[0] - prev[0];
+    const dz = next[1] - prev[1];
+    const len = Math.hypot(dx, dz) || 1;
+    return { x, z, dirX: dx / len, dirZ: dz / len };
+  }
+
+  // Starting grid, two cars per row behind gate 0. `yaw` uses the car convention (forward = -Z).
+  function raceGridSlot(slot, track = RACE_TRACK) {
+    const { x, z, dirX, dirZ } = raceGateFrame(0, track);
+    const row = Math.floor(slot / 2);
+    const side = slot % 2 === 0 ? -1 : 1;
+    const back = track.gridSpacing * (row + 1);
+    return {
+      x: x - dirX * back + dirZ * side * 2.5,
+      z: z - dirZ * back - dirX * side * 2.5,
+      yaw: Math.atan2(-dirX, -dirZ),
+    };
+  }
+
+  // One fixed sensor per gate. Returns [{ body, collider, gate }].
+  function createCheckpointSensors(RAPIER, world, track = RACE_TRACK) {
+    return track.gates.map((_, gate) => {
+      const { x, z, dirX, dirZ } = raceGateFrame(gate, track);
+      const yaw = Math.atan2(dirX, dirZ); // local +Z along the driving direction
+      const body = world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+      const collider = world.createCollider(
+        RAPIER.ColliderDesc.cuboid(track.gateWidth / 2, track.gateHeight / 2, 0.5)
+          .setTranslation(x, track.gateHeight / 2, z)
+          .setRotation({ x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) })
+          .setSensor(true),
+        body
+      );
+      return { body, collider, gate };
+    });
+  }
+
+  // Small seeded PRNG (mulberry32): the same seed gives the same sequence everywhere.
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // 32-bit FNV-1a of a string's UTF-16 code units. Stable: stored keys (ghost laps) depend on it.
+  function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    return hash >>> 0;
+  }
+
+  // World seeds are unsigned 32-bit integers. Other text (URL, env) is hashed into one so
+  // "?seed=canyon" works too; returns null for empty input.
+  function parseSeed(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const n = Number(value);
+    if (Number.isInteger(n) && n >= 0 && n <= 0xffffffff) return n;
+    return hashString(String(value));
+  }
+
+  // Random prop layout. Pass createRandom(seed) as `random` for a reproducible one. `safeZone` = { x, z, radius } keeps the spawn area clear.
+  function generatePropLayout(count, safeZone, random = Math.random, spread = ARENA.propSpread) {
+    const props = [];
+    const insideSafe = (x, z, margin) => Math.hypot(x - safeZone.x, z - safeZone.z) < safeZone.radius + margin;
+    for (let i = 0; i < count; i++) {
+      const dynamic = random() > 0.35;
+      const shape = random() > 0.6 ? "cylinder" : "box";
+      const size = [0.4 + random() * 0.4, 0.35 + random() * 0.35, 0.4 + random() * 0.4];
+      const hue = random();
+
+      let position = null;
+      for (let attempt = 0; attempt < 8 && !position; attempt++) {
+        const x = (random() * 2 - 1) * spread;
+        const z = (random() * 2 - 1) * spread;
+        const padding = Math.max(size[0], size[2]) + 1.0;
+        if (!insideSafe(x, z, padding)) position = [x, size[1] + 0.05, z];
+      }
+      if (!position) {
+        const angle = random() * Math.PI * 2;
+        const r = safeZone.radius + 6 + random() * 18;
+        position = [safeZone.x + Math.cos(angle) * r, size[1] + 0.05, safeZone.z + Math.sin(angle) * r];
+      }
+
+      props.push({
+        id: i,
+        shape,
+        dynamic,
+        size,
+        hue,
+        position,
+        linearDamping: 0.9 + random() * 0.4, // higher = slower slide
+        angularDamping: 1.0 + random() * 0.6,
+      });
+    }
+    return props;
+  }
+
+  // Wedge filling the [-size, size] box: full height at -Z (the car's forward), flush with the
+  // ground at +Z, so a car at yaw 0 drives up it. Flat [x, y, z, ...] for convexHull and meshes.
+  function rampPoints(size) {
+    const [x, y, z] = size;
+    return new Float32Array([
+      -x, -y, z, x, -y, z,
+      -x, -y, -z, x, -y, -z,
+      -x, y, -z, x, y, -z,
+    ]);
+  }
+
+  // Symmetric kicker: ridge across the middle of the box, flush with the ground at both ends.
+  function wedgePoints(size) {
+    const [x, y, z] = size;
+    return new Float32Array([
+      -x, -y, z, x, -y, z,
+      -x, -y, -z, x, -y, -z,
+      -x, y, 0, x, y, 0,
+    ]);
+  }
+
+  // Concave channel along Z filling the box: flat floor at -y, quarter circles rising to +y at
+  // x = +-size.x. Surface only (for a fixed trimesh collider), `arc` segments per side.
+  function halfPipeGeometry(size, arc = 8) {
+    const [hx, hy, hz] = size;
+    const r = Math.min(2 * hy, hx);
+    const flat = hx - r;
+    const lift = (2 * hy) / r;
+    const profile = [];
+    for (let i = 0; i <= arc; i++) {
+      const a = (i / arc) * (Math.PI / 2);
+      profile.push([-flat - r * Math.cos(a), -hy + (r - r * Math.sin(a)) * lift]);
+    }
+    for (let i = flat > 0 ? arc : arc - 1; i >= 0; i--) {
+      const a = (i / arc) * (Math.PI / 2);
+      profile.push([flat + r * Math.cos(a), -hy + (r - r * Math.sin(a)) * lift]);
+    }
+    const vertices = [];
+    const indices = [];
+    profile.forEach(([x, y], i) => {
+      vertices.push(x, y, -hz, x, y, hz);
+      if (i > 0) {
+        const a = (i - 1) * 2;
+        indices.push(a, a + 1, a + 3, a, a + 3, a + 2);
+      }
+    });
+    return { vertices: new Float32Array(vertices), indices: new Uint32Array(indices) };
+  }
+
+  function propColliderDesc(RAPIER, prop) {
+    const [sx, sy, sz] = prop.size;
+    switch (prop.shape) {
+      case "cylinder":
+        return RAPIER.ColliderDesc.cylinder(sy, sx);
+      case "ramp":
+        return RAPIER.ColliderDesc.convexHull(rampPoints(prop.size));
+      case "wedge":
+        return RAPIER.ColliderDesc.convexHull(wedgePoints(prop.size));
+      case "halfpipe": {
+        const { vertices, indices } = halfPipeGeometry(prop.size);
+        return RAPIER.ColliderDesc.trimesh(vertices, indices);
+      }
+      default:
+        return RAPIER.ColliderDesc.cuboid(sx, sy, sz);
+    }
+  }
+
+  // Rigid body + collider for one layout entry. `kinematic` turns dynamic props into
+  // position-driven bodies for clients that follow someone else's simulation. Level objects
+  // may also carry `yaw` and `physics` overrides (see level.js).
+  function createPropBody(RAPIER, world, prop, kinematic = false) {
+    const [x, y, z] = prop.position;
+    const { dynamic } = prop;
+    const physics = prop.physics || {};
+    let rbDesc;
+    if (dynamic && kinematic) {
+      rbDesc = RAPIER.RigidBodyDesc.kinematicPositionBased().setTranslation(x, y, z);
+    } else if (dynamic) {
+      rbDesc = RAPIER.RigidBodyDesc.dynamic()
+        .setTranslation(x, y, z)
+        .setLinearDamping(prop.linearDamping)
+        .setAngularDamping(prop.angularDamping);
+    } else {
+      rbDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(x, y, z);
+    }
+    if (prop.yaw) rbDesc.setRotation({ x: 0, y: Math.sin(prop.yaw / 2), z: 0, w: Math.cos(prop.yaw / 2) });
+    const body = world.createRigidBody(rbDesc);
+    if (dynamic && !kinematic && body.enableCcd) body.enableCcd(true);
+
+    const colliderDesc = propColliderDesc(RAPIER, prop);
+    colliderDesc
+      .setFriction(physics.friction ?? (dynamic ? 0.8 : 0.95))
+      .setRestitution(physics.restitution ?? (dynamic ? 0.32 : 0.2))
+      .setDensity(physics.density ?? (dynamic ? 0.6 : 1.0));
+    const collider = world.createCollider(colliderDesc, body);
+    return { body, collider };
+  }
+
+  return {
+    GRAVITY,
+    FIXED_DT,
+    ARENA,
+    DRIVE,
+    BOOST,
+    RESPAWN,
+    RACE_TRACK,
+    clamp,
+    approach,
+    rotateVec,
+    yawFromQuaternion,
+    carWheelAnchors,
+    countGroundedWheels,
+    createPassThroughHooks,
+    updateBoost,
+    applyDriveForces,
+    isBraking,
+    raceGateFrame,
+    raceGridSlot,
+    createCheckpointSensors,
+    createRandom,
+    hashString,
+    parseSeed,
+    generatePropLayout,
+    rampPoints,
+    wedgePoints,
+    halfPipeGeometry,
+    createPropBody,
+  };
+});